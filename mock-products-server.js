@@ -0,0 +1,47 @@
+/* serves the bundled products fixture (src/products.json) over HTTP, so the
+shop can load its products from an endpoint (see src/Products.jsx)
+  npm run products-server
+  VITE_PRODUCTS_URL=http://localhost:3002 npm run dev
+FAIL_RATE=0.5 makes half of the requests fail, to see the retries at work */
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+import process from "node:process";
+
+const port = Number(process.env.PORT ?? 3002);
+const failRate = Number(process.env.FAIL_RATE ?? 0);
+const products = JSON.parse(
+  readFileSync(new URL("./src/products.json", import.meta.url), "utf8")
+);
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    // the app runs on another port, so every origin is allowed
+    "Access-Control-Allow-Origin": "*",
+  });
+  response.end(JSON.stringify(body));
+}
+
+const server = createServer((request, response) => {
+  const url = new URL(request.url, "http://localhost");
+  const match = url.pathname.match(/^\/products\/(.+)$/);
+
+  if (Math.random() < failRate) {
+    send(response, 503, { error: "Try again" });
+  } else if (request.method === "GET" && url.pathname === "/products") {
+    send(response, 200, products);
+  } else if (request.method === "GET" && match) {
+    const product = products.find((p) => String(p.id) === match[1]);
+    if (product) {
+      send(response, 200, product);
+    } else {
+      send(response, 404, { error: "Not found" });
+    }
+  } else {
+    send(response, 404, { error: "Not found" });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock products server on http://localhost:${port}`);
+});
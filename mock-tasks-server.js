@@ -0,0 +1,109 @@
+/* a tiny in-memory REST backend for the task sync (see src/TaskSync.jsx), so
+the sync can be tried without a real server
+  npm run mock-server
+  VITE_TASKS_SYNC_URL=http://localhost:3001 npm run dev
+the tasks are gone when it stops */
+import { createServer } from "node:http";
+import process from "node:process";
+
+const port = Number(process.env.PORT ?? 3001);
+// records by String(id), { id, listId, version, task, deleted, revision }
+const records = new Map();
+// goes up with every change, a client pulls the changes after its cursor
+let revision = 0;
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    // the app runs on another port, so every origin is allowed
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+// the record without the revision, that's only used for pulls
+function publicRecord({ id, listId, version, task, deleted }) {
+  return { id, listId, version, task, deleted };
+}
+
+async function readJson(request) {
+  let body = "";
+  for await (const chunk of request) {
+    body += chunk;
+  }
+  return JSON.parse(body);
+}
+
+const server = createServer(async (request, response) => {
+  const url = new URL(request.url, "http://localhost");
+  const match = url.pathname.match(/^\/tasks\/(.+)$/);
+  const key = match && decodeURIComponent(match[1]);
+  const current = key === null ? undefined : records.get(key);
+
+  if (request.method === "OPTIONS") {
+    send(response, 204);
+  } else if (request.method === "GET" && url.pathname === "/tasks") {
+    const since = Number(url.searchParams.get("since") ?? 0);
+    const changes = [...records.values()]
+      .filter((r) => r.revision > since)
+      .map(publicRecord);
+    send(response, 200, { changes, cursor: revision });
+  } else if (request.method === "PUT" && key !== null) {
+    /* a body that isn't a JSON object is the client's fault, it gets a 400,
+    instead of an error that would stop the server */
+    let body;
+    try {
+      body = await readJson(request);
+    } catch (error) {
+      send(response, 400, { error: "The body is not JSON: " + error.message });
+      return;
+    }
+    if (body === null || typeof body !== "object") {
+      send(response, 400, { error: "The body is not a JSON object" });
+      return;
+    }
+    const { id, listId, task, baseVersion } = body;
+    // someone else changed the task since the client last saw it
+    if (current && current.version !== baseVersion) {
+      send(response, 409, publicRecord(current));
+      return;
+    }
+    const record = {
+      id,
+      listId,
+      version: (current?.version ?? 0) + 1,
+      task,
+      deleted: false,
+      revision: ++revision,
+    };
+    records.set(key, record);
+    send(response, 200, publicRecord(record));
+  } else if (request.method === "DELETE" && key !== null) {
+    if (!current || current.deleted) {
+      send(response, 404, { error: "Not found" });
+      return;
+    }
+    if (current.version !== Number(url.searchParams.get("baseVersion"))) {
+      send(response, 409, publicRecord(current));
+      return;
+    }
+    // deleted records are kept, so other clients pull the deletion
+    const record = {
+      ...current,
+      version: current.version + 1,
+      task: null,
+      deleted: true,
+      revision: ++revision,
+    };
+    records.set(key, record);
+    send(response, 200, publicRecord(record));
+  } else {
+    send(response, 404, { error: "Not found" });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock tasks server on http://localhost:${port}`);
+});
@@ -1,8 +1,14 @@
 import { useState } from "react";
 import { useTasksDispatch } from "./TasksContext";
+import { PrioritySelect, parseTags } from "./TaskDetails";
 
 export default function AddTask() {
   const [text, setText] = useState("");
+  // the optional fields of the new task, empty strings mean "not set"
+  const [dueDate, setDueDate] = useState("");
+  const [priority, setPriority] = useState("normal");
+  const [tags, setTags] = useState("");
+  const [notes, setNotes] = useState("");
   /* dispatch function used to send actions to the reducer managing
   global state */
   const dispatch = useTasksDispatch();
@@ -15,17 +21,42 @@ export default function AddTask() {
         // updates the text state whenever the user types in the input
         onChange={(e) => setText(e.target.value)}
       />
+      <input
+        type="date"
+        aria-label="Due date"
+        value={dueDate}
+        onChange={(e) => setDueDate(e.target.value)}
+      />
+      <PrioritySelect value={priority} onChange={setPriority} />
+      <input
+        aria-label="Tags"
+        placeholder="Tags, comma separated"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+      />
+      <textarea
+        aria-label="Notes"
+        placeholder="Notes"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+      />
       <button
         onClick={() => {
-          // when add button is clciked, resets the input field
+          // when add button is clciked, resets the input fields
           setText("");
+          setDueDate("");
+          setPriority("normal");
+          setTags("");
+          setNotes("");
           // sends an action to add a new task
+          /* no id here, the reducer assigns a unique id to the new task */
           dispatch({
             type: "added",
-            /* assigns a unique id to the new task and increments nextId
-            for next task */
-            id: nextId++,
             text: text,
+            dueDate: dueDate || null,
+            priority: priority,
+            tags: parseTags(tags),
+            notes: notes,
           });
         }}
       >
@@ -34,5 +65,3 @@ export default function AddTask() {
     </>
   );
 }
-
-let nextId = 3;
@@ -14,31 +14,53 @@ import React, {
   memo,
   Profiler,
 } from "react";
-import { useReducer } from "./MyReact";
-import Header from "./components/Header";
+import { useReducer, useHistoryReducer } from "./MyReact";
+import { logger, thunk, validateActions } from "./Middleware";
+import { createIdGenerator } from "./Ids";
+import { createTask } from "./TasksSchema";
+import { moveItem } from "./Reorder";
+import { flattenTasks, importTasks, syncDone } from "./TaskTree";
+import { Navigate, Route, Routes } from "react-router-dom";
+import ShopLayout, { ProductsLayout } from "./components/ShopLayout";
 import ProductDetail from "./components/ProductDetail";
+import ProductGrid from "./components/ProductGrid";
+import Cart from "./components/Cart";
+import Checkout from "./components/Checkout";
+import NotFound from "./components/NotFound";
 import AddTask from "./AddTask";
 import TaskList from "./TaskList";
 import { TasksProvider } from "./TasksContext";
+import { TasksFilterProvider } from "./TasksFilterContext";
+import TaskFilterBar from "./TaskFilterBar";
+import TaskListSwitcher from "./TaskListSwitcher";
+import TaskHistory from "./TaskHistory";
+import ActiveListImportExport, { TaskImportExport } from "./TaskImportExport";
 import Heading from "./Heading";
 import Section from "./Section";
 import AddTaskOne from "./AddTaskOne";
 import TaskListOne from "./TaskListOne";
 import Chat from "./Chat";
 import ContactList from "./ContactList";
-import { initialState, messengerReducer } from "./messengerReducer";
+import GroupList from "./GroupList";
+import {
+  getConversation,
+  initialState,
+  messengerReducer,
+} from "./MessengerReducer";
+import {
+  createLoopbackTransport,
+  createWebSocketTransport,
+  transportMiddleware,
+  useTransport,
+} from "./Transport";
+import { useDraftPersistence } from "./Drafts";
+import { ShopProvider } from "./ShopContext";
+import {
+  createFixtureProductsSource,
+  createHttpProductsSource,
+} from "./Products";
 import "./App.css";
 
-/* static default value is an object with three properties 
-
-the context does not hold the information, it only represents the kind of 
-information I can provide or read from components */
-export const ShopContext = createContext({
-  products: [],
-  cartItems: [],
-  addToCart: () => {},
-});
-
 // ThemeContext provides the current theme which is a string
 /* if React can't find any providers for a particular context in the parent 
 tree, the context value returned by useContext() will be equal to the default
@@ -216,12 +238,10 @@ function reducer(state, action) {
 }
 
 function TaskApp() {
-  let nextId = 3;
-
   const initialTasks = [
-    { id: 0, text: "Visit Kafka Museum", done: true },
-    { id: 1, text: "Watch a puppet show", done: false },
-    { id: 2, text: "Lennon Wall pic", done: false },
+    createTask({ id: 0, text: "Visit Kafka Museum", done: true }),
+    createTask({ id: 1, text: "Watch a puppet show" }),
+    createTask({ id: 2, text: "Lennon Wall pic" }),
   ];
 
   /* TaskApp holds an array of tasks in state, and uses
@@ -235,11 +255,10 @@ function TaskApp() {
   function handleAddTask(text) {
     setTasks([
       ...tasks,
-      {
-        id: nextId++,
+      createTask({
+        id: taskIds.next(tasks),
         text: text,
-        done: false,
-      },
+      }),
     ]);
   }
 
@@ -259,6 +278,16 @@ function TaskApp() {
     setTasks(tasks.filter((t) => t.id !== taskId));
   }
 
+  function handleMoveTask(taskId, toIndex) {
+    setTasks(
+      moveItem(
+        tasks,
+        tasks.findIndex((t) => t.id === taskId),
+        toIndex
+      )
+    );
+  }
+
   return (
     <>
       <h1>Prague itinerary</h1>
@@ -267,6 +296,7 @@ function TaskApp() {
         tasks={tasks}
         onChangeTask={handleChangeTask}
         onDeleteTask={handleDeleteTask}
+        onMoveTask={handleMoveTask}
       />
     </>
   );
@@ -282,11 +312,14 @@ function tasksReducer(tasks, action) {
   if (action.type === "added") {
     return [
       ...tasks,
-      {
-        id: nextId++,
+      // createTask fills in the default due date, priority, tags, and notes
+      createTask({
+        /* the reducer owns the ids, the next id only depends on the tasks,
+        so the reducer stays pure even when React calls it twice, subtasks
+        count too, an imported task can bring some */
+        id: action.id ?? taskIds.next(flattenTasks(tasks)),
         text: action.text,
-        done: false,
-      },
+      }),
     ];
   } else if (action.type === "changed") {
     return tasks.map((t) => {
@@ -298,15 +331,77 @@ function tasksReducer(tasks, action) {
     });
   } else if (action.type === "deleted") {
     return tasks.filter((t) => t.id !== action.id);
+  } else if (action.type === "moved") {
+    // moves the task with action.id to action.toIndex
+    const fromIndex = tasks.findIndex((t) => t.id === action.id);
+    if (fromIndex === -1) {
+      return tasks;
+    }
+    return moveItem(tasks, fromIndex, action.toIndex);
+  } else if (action.type === "imported") {
+    /* the same import as TasksProvider's (see importTasks in TaskTree.jsx),
+    with counter ids, usedTasks grows with every new id, so the new ids don't
+    clash with each other either */
+    const usedTasks = flattenTasks(tasks);
+    function makeId() {
+      const id = taskIds.next(usedTasks);
+      usedTasks.push({ id: id });
+      return id;
+    }
+    return syncDone(importTasks(tasks, action, makeId));
   } else {
     throw Error("Unknown action: " + action.type);
   }
 }
 
+/* shared middlewares for the reducers below, thunk goes first so functions
+never reach the logger or the validator
+the logger prints the whole state on every dispatch, so it's only added in
+development, import.meta.env.DEV is false in a production build */
+const middlewares = import.meta.env.DEV ? [thunk, logger] : [thunk];
+
+/* the transport the chats send through, a WebSocket server when
+VITE_CHAT_WS_URL is set (ex. the echo server in ws-echo-server.js), otherwise
+the loopback one, where every contact echoes back what they get */
+function createChatTransport() {
+  const url = import.meta.env.VITE_CHAT_WS_URL;
+  return url ? createWebSocketTransport(url) : createLoopbackTransport();
+}
+
+/* Messenger and the contact list at the top of App each get their own, so a
+reply only shows up in the chat that sent the message */
+const chatTransport = createChatTransport();
+const appChatTransport = createChatTransport();
+
+/* the shop's products come from the endpoint in VITE_PRODUCTS_URL when it's set
+(ex. mock-products-server.js), otherwise from the bundled fixture
+created once, here, since useProducts reloads when its source changes */
+const productsSource = import.meta.env.VITE_PRODUCTS_URL
+  ? createHttpProductsSource(import.meta.env.VITE_PRODUCTS_URL)
+  : createFixtureProductsSource({ delay: 300 });
+
 function TaskAppOne() {
   /* 3. useReducer must be passed an initial state, it returns a stateful
-  value and a way to set state (the dispatch function) */
-  const [tasks, dispatch] = useReducer(tasksReducer, initialTasks);
+  value and a way to set state (the dispatch function) 
+  the middlewares wrap dispatch, the reducer stays untouched 
+  useHistoryReducer also records every state, so deleted tasks can come back */
+  const [tasks, dispatch, { canUndo, canRedo, undo, redo }] = useHistoryReducer(
+    tasksReducer,
+    initialTasks,
+    [
+      ...middlewares,
+      validateActions([
+        "added",
+        "changed",
+        "deleted",
+        "moved",
+        "imported",
+        "undone",
+        "redone",
+        "jumped",
+      ]),
+    ]
+  );
 
   /* TaskApp holds an array of tasks in state, and uses 3 different event 
   handlers to add, remove, and edit tasks 
@@ -326,9 +421,8 @@ function TaskAppOne() {
       /* object passed to dispatch is the action object 
       action object should contain minimal info about what happened */
       {
-        // type says what happened
+        // type says what happened, the reducer picks the id
         type: "added",
-        id: nextId++,
         text: text,
       }
     );
@@ -350,6 +444,24 @@ function TaskAppOne() {
     });
   }
 
+  function handleMoveTask(taskId, toIndex) {
+    // dispatch a moved action, user just dragged a task to a new place
+    dispatch({
+      type: "moved",
+      id: taskId,
+      toIndex: toIndex,
+    });
+  }
+
+  function handleImportTasks(added, replaced) {
+    // dispatch an imported action, user just confirmed an import preview
+    dispatch({
+      type: "imported",
+      added: added,
+      replaced: replaced,
+    });
+  }
+
   return (
     <>
       <h1>Prague itinerary</h1>
@@ -358,17 +470,31 @@ function TaskAppOne() {
         tasks={tasks}
         onChangeTask={handleChangeTask}
         onDeleteTask={handleDeleteTask}
+        onMoveTask={handleMoveTask}
+      />
+      <button disabled={!canUndo} onClick={undo}>
+        Undo
+      </button>
+      <button disabled={!canRedo} onClick={redo}>
+        Redo
+      </button>
+      <TaskImportExport
+        tasks={tasks}
+        name="Prague itinerary"
+        onImport={handleImportTasks}
       />
     </>
   );
 }
 
-let nextId = 3;
+/* counter ids continue from the largest id in the list, the Prague tasks
+start at 0, 1, 2, so the next one is 3 */
+const taskIds = createIdGenerator("counter");
 
 const initialTasks = [
-  { id: 0, text: "Visit Kafka Museum", done: true },
-  { id: 1, text: "Watch a puppet show", done: false },
-  { id: 2, text: "Lennon Wall pic", done: false },
+  createTask({ id: 0, text: "Visit Kafka Museum", done: true }),
+  createTask({ id: 1, text: "Watch a puppet show", priority: "high" }),
+  createTask({ id: 2, text: "Lennon Wall pic", tags: ["photos"] }),
 ];
 
 /* What steps can I follow to migrate from useState to useReducer?
@@ -400,9 +526,6 @@ dispatch function - receives an action object as an argument, which gets passed
     /* here the return value from the reducer function would be { count: state.count + 1 } */
     dispatch({ type: "incremented_count" });
   }
-  const [cartItems, setCartItems] = useState([
-    // list of items in cart
-  ]);
   /* to update context and have it change over time, combine it with state 
   declare a state variable in the parent component, and pass the current state
   down as the context value to the provider 
@@ -414,13 +537,6 @@ dispatch function - receives an action object as an argument, which gets passed
   const [themeOne, setThemeOne] = useState("dark");
   const [currentUser, setCurrentUser] = useState(null);
 
-  // some custom hook that fetches products and returns the fetched products
-  const products = "";
-
-  const addToCart = () => {
-    // add to cart logic (this adds to cartItems)
-  };
-
   const onSubmit = (username) => console.log(username);
 
   function FormOne() {
@@ -625,39 +741,78 @@ dispatch function - receives an action object as an argument, which gets passed
     [currentUser, login]
   );
 
-  const contacts = [
-    { id: 0, name: "Taylor", email: "taylor@mail.com" },
-    { id: 1, name: "Alice", email: "alice@mail.com" },
-    { id: 2, name: "Bob", email: "bob@mail.com" },
-  ];
-
   /* useReducer hook takes the reducer function and initial state, and it
   returns a stateful value, state, and a way to set that value, the dispatch
   function, that dispatch user actions to the reducer */
-  const [state, dispatch] = useReducer(messengerReducer, initialState);
-  // contact with id matching the selected id is assigned to contact
-  const contact = contacts.find((c) => c.id === state.selectedId);
+  const [state, dispatch] = useReducer(messengerReducer, initialState, [
+    transportMiddleware(appChatTransport),
+  ]);
+  // the transport's replies and delivery reports come back as actions
+  useTransport(appChatTransport, dispatch);
+  // drafts are saved as they're typed, and come back after a reload
+  useDraftPersistence(state.messages, dispatch, { storageKey: "app-drafts" });
+  /* the selected contact or group is assigned to conversation, or null once
+  every contact was deleted */
+  const conversation = getConversation(state);
   /* Messenger will read the message for the currently selected contact 
   message for the selected contact is assigned to message */
   const message = state.messages[state.selectedId];
 
   function Messenger() {
-    const [state, dispatch] = useReducer(messengerReducer, initialState);
+    const [state, dispatch] = useReducer(messengerReducer, initialState, [
+      ...middlewares,
+      validateActions([
+        "changed_selection",
+        "edited_message",
+        "sent_message",
+        "delivered_message",
+        "failed_message",
+        "received_message",
+        "added_contact",
+        "edited_contact",
+        "deleted_contact",
+        "restored_drafts",
+        "created_group",
+        "renamed_group",
+        "added_group_member",
+        "removed_group_member",
+      ]),
+      // last, so the validated sent_message is what goes out
+      transportMiddleware(chatTransport),
+    ]);
+    useTransport(chatTransport, dispatch);
+    useDraftPersistence(state.messages, dispatch, {
+      storageKey: "messenger-drafts",
+    });
     const message = state.messages[state.selectedId];
-    const contact = contacts.find((c) => c.id === state.selectedId);
+    const conversation = getConversation(state);
     return (
       <div>
         <ContactList
-          contacts={contacts}
+          contacts={state.contacts}
           selectedId={state.selectedId}
+          unread={state.unread}
           dispatch={dispatch}
         />
-        <Chat
-          key={contact.id}
-          message={message}
-          contact={contact}
+        <GroupList
+          groups={state.groups}
+          contacts={state.contacts}
+          selectedId={state.selectedId}
+          unread={state.unread}
           dispatch={dispatch}
         />
+        {/* Chat needs a conversation, there's none once they're all deleted */}
+        {conversation !== null ? (
+          <Chat
+            key={conversation.id}
+            message={message}
+            thread={state.threads[state.selectedId]}
+            conversation={conversation}
+            dispatch={dispatch}
+          />
+        ) : (
+          <p>Add a contact to start chatting.</p>
+        )}
       </div>
     );
   }
@@ -667,7 +822,10 @@ dispatch function - receives an action object as an argument, which gets passed
     useReducer takes counterReducer and the initial state, and returns
     the next state (calculated by counterReducer) and a way to set the 
     next state (the dispatch function) */
-    const [state, dispatch] = useReducer(counterReducer, { age: 42 });
+    const [state, dispatch] = useReducer(counterReducer, { age: 42 }, [
+      ...middlewares,
+      validateActions(["incremented_age"]),
+    ]);
 
     function counterReducer(state, action) {
       /* 2. based on the action object, counterReducer calculates and 
@@ -1333,17 +1491,31 @@ function MyComponent() {
     <>
       <div>
         <ContactList
-          contacts={contacts}
+          contacts={state.contacts}
           // selectedId is the id of the selected contact
           selectedId={state.selectedId}
+          unread={state.unread}
           dispatch={dispatch}
         />
-        <Chat
-          key={contact.id}
-          message={message}
-          contact={contact}
+        <GroupList
+          groups={state.groups}
+          contacts={state.contacts}
+          selectedId={state.selectedId}
+          unread={state.unread}
           dispatch={dispatch}
         />
+        {/* Chat needs a conversation, there's none once they're all deleted */}
+        {conversation !== null ? (
+          <Chat
+            key={conversation.id}
+            message={message}
+            thread={state.threads[state.selectedId]}
+            conversation={conversation}
+            dispatch={dispatch}
+          />
+        ) : (
+          <p>Add a contact to start chatting.</p>
+        )}
       </div>
 
       {/* ContextObject.Provider - Provider component accepts a prop called
@@ -1361,18 +1533,28 @@ function MyComponent() {
       context values passing something via context
       only works if SomeContext that I use to provide context and SomeContext
       that I use to read it are exactly the same object */}
-      <ShopContext.Provider
-        value={{
-          cartItems,
-          products,
-          addToCart,
-        }}
-      >
-        {/* prop drilling - pass cartItemsCount down to the Header component 
+      {/* ShopProvider holds the cart, and passes it down through ShopContext,
+      together with the products, which useProducts, the custom hook that
+      fetches products, loads from productsSource */}
+      <ShopProvider source={productsSource}>
+        {/* the shop's pages, ShopLayout keeps Header mounted above them, and
+        passes the shop data down as outlet context
+        / goes to /products, and every path no route matches is a 404 */}
+        <Routes>
+          {/* prop drilling - pass cartItemsCount down to the Header component 
       and then Links component that is part of the Header */}
-        <Header />
-        {/* pass products and addToCart to ProductDetail component */}
-        <ProductDetail />
+          <Route element={<ShopLayout />}>
+            <Route index element={<Navigate to="/products" replace />} />
+            <Route path="products" element={<ProductsLayout />}>
+              <Route index element={<ProductGrid />} />
+              {/* pass products and addToCart to ProductDetail component */}
+              <Route path=":id" element={<ProductDetail />} />
+            </Route>
+            <Route path="cart" element={<Cart />} />
+            <Route path="checkout" element={<Checkout />} />
+            <Route path="*" element={<NotFound />} />
+          </Route>
+        </Routes>
         {/* <UsernameForm onSubmit={onSubmit} /> */}
         {/* Form component could be used directly in the App 
       App component makes it a specialized Form component by passing all the
@@ -1410,7 +1592,7 @@ function MyComponent() {
           }
           right={<Copyright label="Robin" />}
         />
-      </ShopContext.Provider>
+      </ShopProvider>
       {/* updating a value via contet - 
       checking "dark mode" checkbox updates the state, changing 
       the provided value re-renders all components using the context */}
@@ -1473,10 +1655,20 @@ function MyComponent() {
           Use dark mode
         </label>
       </MyProviders>
-      <TasksProvider>
-        <h1>Day off in Kyoto</h1>
-        <AddTask />
-        <TaskList />
+      {/* the tasks sync with a REST backend when VITE_TASKS_SYNC_URL is set,
+      ex. to the one in mock-tasks-server.js */}
+      <TasksProvider syncEndpoint={import.meta.env.VITE_TASKS_SYNC_URL ?? null}>
+        {/* the filter lives in its own provider, next to the tasks */}
+        <TasksFilterProvider>
+          {/* picks the active list, and shows its name as the heading */}
+          <TaskListSwitcher />
+          <AddTask />
+          <TaskFilterBar />
+          <TaskList />
+          <TaskHistory />
+          {/* exports the active list, and imports into it */}
+          <ActiveListImportExport />
+        </TasksFilterProvider>
       </TasksProvider>
       <ThemeContextOne.Provider value={themeOne}>
         <FormThree />
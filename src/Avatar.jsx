@@ -0,0 +1,39 @@
+/* a round badge with the initials of a name, its color is picked from the
+name, so a contact keeps the same color every time */
+export default function Avatar({ name, size = 32 }) {
+  return (
+    <span
+      className="avatar"
+      aria-hidden="true"
+      style={{
+        width: size,
+        height: size,
+        lineHeight: size + "px",
+        fontSize: size * 0.4,
+        backgroundColor: `hsl(${hue(name)}, 45%, 45%)`,
+      }}
+    >
+      {getInitials(name)}
+    </span>
+  );
+}
+
+// first letters of the first and last word, "Taylor Swift" is "TS"
+export function getInitials(name) {
+  const words = name.trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    return "?";
+  }
+  const first = words[0][0];
+  const last = words.length > 1 ? words[words.length - 1][0] : "";
+  return (first + last).toUpperCase();
+}
+
+// a hue from 0 to 359, the same name always gives the same one
+function hue(name) {
+  let hash = 0;
+  for (const char of name) {
+    hash = (hash * 31 + char.codePointAt(0)) % 360;
+  }
+  return hash;
+}
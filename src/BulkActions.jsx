@@ -0,0 +1,110 @@
+import { useEffect, useRef, useState } from "react";
+import { useTasksDispatch } from "./TasksContext";
+
+/* useSelection keeps track of which items of a list are selected
+ids - the item ids in the order they're rendered
+clicking an item toggles it, shift-clicking selects every item between the
+last clicked item (the anchor) and this one, like in a file manager
+
+ids that are no longer in the list (deleted or filtered out) are ignored, so
+the selection never acts on tasks that can't be seen */
+export function useSelection(ids) {
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [anchorId, setAnchorId] = useState(null);
+  const selected = ids.filter((id) => selectedIds.has(id));
+
+  function toggle(id, isRange) {
+    const next = new Set(selectedIds);
+    const anchorIndex = ids.indexOf(anchorId);
+    if (isRange && anchorIndex !== -1) {
+      const index = ids.indexOf(id);
+      const [from, to] =
+        anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+      // the whole range gets the anchor's state
+      const select = selectedIds.has(anchorId);
+      for (const rangeId of ids.slice(from, to + 1)) {
+        if (select) {
+          next.add(rangeId);
+        } else {
+          next.delete(rangeId);
+        }
+      }
+    } else {
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      setAnchorId(id);
+    }
+    setSelectedIds(next);
+  }
+
+  return {
+    selected,
+    isSelected: (id) => selectedIds.has(id),
+    toggle,
+    selectAll: () => setSelectedIds(new Set(ids)),
+    clear: () => setSelectedIds(new Set()),
+  };
+}
+
+/* toolbar for the selected tasks, every button dispatches one action with all
+the selected ids, so a bulk change is a single step in the history */
+export default function BulkActions({ ids, selection }) {
+  const dispatch = useTasksDispatch();
+  const { selected, selectAll, clear } = selection;
+  const allSelected = ids.length > 0 && selected.length === ids.length;
+  const someSelected = selected.length > 0 && !allSelected;
+  const checkboxRef = useRef(null);
+
+  // same as the task checkboxes, indeterminate is only set on the DOM node
+  useEffect(() => {
+    checkboxRef.current.indeterminate = someSelected;
+  }, [someSelected]);
+
+  return (
+    <div className="bulk-actions">
+      <label>
+        <input
+          type="checkbox"
+          ref={checkboxRef}
+          checked={allSelected}
+          onChange={(e) => (e.target.checked ? selectAll() : clear())}
+        />
+        {selected.length > 0 ? `${selected.length} selected` : "Select all"}
+      </label>
+      <button
+        disabled={selected.length === 0}
+        onClick={() =>
+          dispatch({ type: "bulk_changed_done", ids: selected, done: true })
+        }
+      >
+        Mark done
+      </button>
+      <button
+        disabled={selected.length === 0}
+        onClick={() =>
+          dispatch({ type: "bulk_changed_done", ids: selected, done: false })
+        }
+      >
+        Mark undone
+      </button>
+      <button
+        disabled={selected.length === 0}
+        onClick={() => dispatch({ type: "bulk_duplicated", ids: selected })}
+      >
+        Duplicate selected
+      </button>
+      <button
+        disabled={selected.length === 0}
+        onClick={() => {
+          dispatch({ type: "bulk_deleted", ids: selected });
+          clear();
+        }}
+      >
+        Delete selected
+      </button>
+    </div>
+  );
+}
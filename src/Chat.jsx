@@ -1,10 +1,20 @@
-export default function Chat({ contact, message, dispatch }) {
+import { useEffect, useRef } from "react";
+import Composer, { Attachments } from "./Composer";
+import Markdown from "./Markdown";
+
+/* conversation is a contact or a group, { id, name, recipients }, see
+getConversation in MessengerReducer.jsx */
+export default function Chat({ conversation, message, thread, dispatch }) {
+  // every recipient's email, a group has several
+  const emails = conversation.recipients.map((r) => r.email).join(", ");
   return (
     <section className="chat">
-      <textarea
-        value={message}
-        placeholder={"Chat to " + contact.name}
-        onChange={(e) => {
+      <Transcript conversation={conversation} emails={emails} thread={thread} />
+      <Composer
+        draft={message}
+        placeholder={"Chat to " + conversation.name}
+        sendLabel={"Send to " + emails}
+        onChange={(draft) => {
           {
             /* instead of telling React what to do, tells React what the user just did
          textarea change event handler dispatches an action object - the action is an 
@@ -12,26 +22,81 @@ export default function Chat({ contact, message, dispatch }) {
           }
           dispatch({
             type: "edited_message",
-            /* e.target.value gets passed and tells React what the contact's 
-            new remembered message is */
-            message: e.target.value,
+            /* the draft gets passed and tells React what the contact's 
+            new remembered message is, { text, attachments } */
+            message: draft,
           });
         }}
-      />
-      <br />
-      <button
-        onClick={() => {
-          /* send click event handler first alerts the user with a pop-up of the
-          selected contact's message
-          then it dispatches an action object - the action is an sent message */
-          alert(`Sending "${message}" to ${contact.email}`);
+        onSend={() => {
+          /* send event handler dispatches an action object - the action is a
+          sent message, it carries the draft, and the reducer moves it into
+          the thread */
           dispatch({
             type: "sent_message",
+            sentAt: Date.now(),
+            message: message,
           });
         }}
-      >
-        Send to {contact.email}
-      </button>
+      />
     </section>
   );
 }
+
+// received messages don't show a status, the author says enough
+const statusLabels = {
+  sending: "Sending...",
+  delivered: "Delivered",
+  failed: "Not delivered",
+};
+
+/* the messages sent to and received in the conversation, oldest first, the
+list scrolls, and it jumps to the bottom whenever a message is added
+the header says who the messages go to */
+function Transcript({ conversation, emails, thread }) {
+  const endRef = useRef(null);
+
+  useEffect(() => {
+    endRef.current.scrollIntoView?.({ block: "nearest" });
+  }, [thread.length]);
+
+  return (
+    <>
+      <header className="transcript-header">
+        <strong>{conversation.name}</strong> <small>To: {emails}</small>
+      </header>
+      <ol
+        className="transcript"
+        aria-label={"Conversation with " + conversation.name}
+      >
+        {thread.length === 0 && <li>No messages yet.</li>}
+        {thread.map((m) => (
+          <li
+            key={m.id}
+            className={m.author === "me" ? "outgoing" : "incoming"}
+          >
+            <Markdown text={m.text} />
+            <Attachments attachments={m.attachments} />
+            <small>
+              {authorName(conversation, m.author)},{" "}
+              <time dateTime={new Date(m.sentAt).toISOString()}>
+                {new Date(m.sentAt).toLocaleString()}
+              </time>
+              {m.status in statusLabels && " · " + statusLabels[m.status]}
+            </small>
+          </li>
+        ))}
+        <li ref={endRef} aria-hidden="true" />
+      </ol>
+    </>
+  );
+}
+
+/* "You", or the name of the contact who wrote the message, a reply the
+transport sends to a whole group comes from the group */
+function authorName(conversation, author) {
+  if (author === "me") {
+    return "You";
+  }
+  const contact = conversation.recipients.find((r) => r.id === author);
+  return contact ? contact.name : conversation.name;
+}
@@ -0,0 +1,216 @@
+import { useId, useLayoutEffect, useRef, useState } from "react";
+import { ulid } from "./Ids";
+import Markdown from "./Markdown";
+
+// the emojis in the picker, the name is what a screen reader says
+const emojis = [
+  { emoji: "😀", name: "grinning face" },
+  { emoji: "😂", name: "face with tears of joy" },
+  { emoji: "😍", name: "smiling face with heart-eyes" },
+  { emoji: "🤔", name: "thinking face" },
+  { emoji: "😢", name: "crying face" },
+  { emoji: "😮", name: "face with open mouth" },
+  { emoji: "👍", name: "thumbs up" },
+  { emoji: "👋", name: "waving hand" },
+  { emoji: "🙏", name: "folded hands" },
+  { emoji: "🎉", name: "party popper" },
+  { emoji: "🔥", name: "fire" },
+  { emoji: "❤️", name: "red heart" },
+];
+
+/* the message composer, the draft is { text, attachments }, like the drafts in
+MessengerReducer.jsx
+- text is markdown (see Markdown.jsx), the preview under the textarea shows
+  how it's going to look
+- Enter sends, Shift+Enter starts a new line
+- the emoji picker puts an emoji where the cursor is
+- picked files become attachments, every file gets an object URL, so it can
+  be shown without uploading it anywhere
+onChange(draft) gets the next draft, onSend() sends the current one */
+export default function Composer({
+  draft,
+  placeholder,
+  sendLabel,
+  onChange,
+  onSend,
+}) {
+  const textareaRef = useRef(null);
+  // where the cursor goes after the next render, null to leave it alone
+  const caretRef = useRef(null);
+  const [isPickerOpen, setIsPickerOpen] = useState(false);
+  const hintId = useId();
+  const pickerId = useId();
+  const canSend = draft.text.trim() !== "" || draft.attachments.length > 0;
+
+  /* an inserted emoji changes the value, which moves the cursor to the end,
+  this puts it back right after the emoji, before the browser paints */
+  useLayoutEffect(() => {
+    if (caretRef.current !== null) {
+      textareaRef.current.focus();
+      textareaRef.current.setSelectionRange(caretRef.current, caretRef.current);
+      caretRef.current = null;
+    }
+  });
+
+  function insertEmoji(emoji) {
+    const { selectionStart, selectionEnd } = textareaRef.current;
+    onChange({
+      ...draft,
+      text:
+        draft.text.slice(0, selectionStart) +
+        emoji +
+        draft.text.slice(selectionEnd),
+    });
+    caretRef.current = selectionStart + emoji.length;
+    setIsPickerOpen(false);
+  }
+
+  function addFiles(files) {
+    const attachments = [...files].map((file) => ({
+      id: ulid(),
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      url: URL.createObjectURL(file),
+    }));
+    onChange({ ...draft, attachments: [...draft.attachments, ...attachments] });
+  }
+
+  function removeAttachment(attachment) {
+    // nothing shows the file anymore, so the browser can let go of it
+    URL.revokeObjectURL(attachment.url);
+    onChange({
+      ...draft,
+      attachments: draft.attachments.filter((a) => a.id !== attachment.id),
+    });
+  }
+
+  return (
+    <div className="composer">
+      <textarea
+        ref={textareaRef}
+        value={draft.text}
+        placeholder={placeholder}
+        aria-describedby={hintId}
+        onChange={(e) => onChange({ ...draft, text: e.target.value })}
+        onKeyDown={(e) => {
+          /* isComposing is true while an input method (ex. for Japanese) is
+          still picking characters, then Enter only confirms them */
+          if (e.key === "Enter" && !e.shiftKey && !e.nativeEvent.isComposing) {
+            e.preventDefault();
+            if (canSend) {
+              onSend();
+            }
+          }
+        }}
+      />
+      <small id={hintId}>
+        Enter to send, Shift+Enter for a new line, **bold**, *italic*, `code`
+      </small>
+      <div className="composer-tools">
+        <button
+          type="button"
+          aria-label="Insert emoji"
+          aria-expanded={isPickerOpen}
+          aria-controls={pickerId}
+          onClick={() => setIsPickerOpen(!isPickerOpen)}
+        >
+          😀
+        </button>
+        <label>
+          Attach files{" "}
+          <input
+            type="file"
+            multiple
+            onChange={(e) => {
+              addFiles(e.target.files);
+              // so the same file can be picked again
+              e.target.value = "";
+            }}
+          />
+        </label>
+      </div>
+      {isPickerOpen && (
+        <div
+          id={pickerId}
+          className="emoji-picker"
+          role="group"
+          aria-label="Emoji"
+          onKeyDown={(e) => {
+            if (e.key === "Escape") {
+              setIsPickerOpen(false);
+              textareaRef.current.focus();
+            }
+          }}
+        >
+          {emojis.map(({ emoji, name }) => (
+            <button
+              key={emoji}
+              type="button"
+              aria-label={name}
+              title={name}
+              onClick={() => insertEmoji(emoji)}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+      <Attachments
+        attachments={draft.attachments}
+        onRemove={removeAttachment}
+      />
+      {draft.text.trim() !== "" && (
+        <section className="composer-preview" aria-label="Preview">
+          <Markdown text={draft.text} />
+        </section>
+      )}
+      <button disabled={!canSend} onClick={onSend}>
+        {sendLabel}
+      </button>
+    </div>
+  );
+}
+
+/* the attachments of a draft or a message, images show up right there, every
+file is a link that downloads it, onRemove adds a remove button to each */
+export function Attachments({ attachments, onRemove }) {
+  if (attachments.length === 0) {
+    return null;
+  }
+  return (
+    <ul className="attachments">
+      {attachments.map((attachment) => (
+        <li key={attachment.id}>
+          {attachment.type.startsWith("image/") && (
+            <img src={attachment.url} alt={attachment.name} />
+          )}
+          <a href={attachment.url} download={attachment.name}>
+            {attachment.name}
+          </a>{" "}
+          <small>{formatSize(attachment.size)}</small>
+          {onRemove && (
+            <button
+              type="button"
+              aria-label={"Remove " + attachment.name}
+              onClick={() => onRemove(attachment)}
+            >
+              ×
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// 512 bytes, 1.5 KB, 2.3 MB
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return bytes + " bytes";
+  }
+  if (bytes < 1024 * 1024) {
+    return (bytes / 1024).toFixed(1) + " KB";
+  }
+  return (bytes / (1024 * 1024)).toFixed(1) + " MB";
+}
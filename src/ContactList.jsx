@@ -1,32 +1,252 @@
-export default function ContactList({ contacts, selectedId, dispatch }) {
+import { Fragment, useRef, useState } from "react";
+import Avatar from "./Avatar";
+import { validateContact } from "./MessengerReducer";
+
+export default function ContactList({
+  contacts,
+  selectedId,
+  unread,
+  dispatch,
+}) {
+  // id of the contact whose edit form is open, null when none is
+  const [editingId, setEditingId] = useState(null);
+  const [query, setQuery] = useState("");
+  const sectionRef = useRef(null);
+  const groups = groupByLetter(
+    contacts.filter(
+      (c) => isFuzzyMatch(query, c.name) || isFuzzyMatch(query, c.email)
+    )
+  );
+
+  /* the arrow keys move the focus from the search box down through the
+  contacts and back up, Enter on a contact clicks it, so it's selected, and
+  Enter in the search box selects the first match */
+  function handleKeyDown(e) {
+    const buttons = [...sectionRef.current.querySelectorAll(".contact-select")];
+    // -1 is the search box
+    const index = buttons.indexOf(e.target);
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (index === -1 && e.target.type !== "search") {
+        // the edit forms keep their arrow keys
+        return;
+      }
+      e.preventDefault();
+      const next = index + (e.key === "ArrowDown" ? 1 : -1);
+      if (next === -1) {
+        sectionRef.current.querySelector("input[type=search]").focus();
+      } else if (next < buttons.length) {
+        buttons[next].focus();
+      }
+    } else if (e.key === "Enter" && e.target.type === "search") {
+      if (groups.length > 0) {
+        dispatch({
+          type: "changed_selection",
+          contactId: groups[0].contacts[0].id,
+        });
+      }
+    }
+  }
+
   return (
-    <section className="contact-list">
-      <ul>
-        {/*} iterates through the contacts, and for each */}
-        {contacts.map((contact) => (
-          // creates a li element inside the unordered list
-          <li key={contact.id}>
-            {/* button with contact's name */}
-            <button
-              onClick={() => {
-                {
-                  /* instead of telling React what to do, tell React what the user just did
+    <section
+      className="contact-list"
+      ref={sectionRef}
+      onKeyDown={handleKeyDown}
+    >
+      <input
+        type="search"
+        aria-label="Search contacts"
+        placeholder="Search contacts"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+      {groups.length === 0 && <p>No contacts match &quot;{query}&quot;.</p>}
+      {/* a header for every first letter, with the contacts under it */}
+      {groups.map((group) => (
+        <Fragment key={group.letter}>
+          <h3 className="contact-group">{group.letter}</h3>
+          <ul aria-label={group.letter}>
+            {/*} iterates through the contacts, and for each */}
+            {group.contacts.map((contact) => (
+              // creates a li element inside the unordered list
+              <li key={contact.id}>
+                {editingId === contact.id ? (
+                  <ContactForm
+                    contact={contact}
+                    contacts={contacts}
+                    submitLabel="Save"
+                    onSubmit={({ name, email }) => {
+                      dispatch({
+                        type: "edited_contact",
+                        contactId: contact.id,
+                        name: name,
+                        email: email,
+                      });
+                      setEditingId(null);
+                    }}
+                    onCancel={() => setEditingId(null)}
+                  />
+                ) : (
+                  <>
+                    <Avatar name={contact.name} />
+                    {/* button with contact's name */}
+                    <button
+                      className="contact-select"
+                      onClick={() => {
+                        {
+                          /* instead of telling React what to do, tell React what the user just did
                 change selection click event handler dispatches an action object that has 
                 minimal info about what happened- the action is a changed selection, and the 
                 contact.id/ contactId will get set to selectedId */
-                }
-                dispatch({
-                  type: "changed_selection",
-                  contactId: contact.id,
-                });
-              }}
-            >
-              {/* if the contact is the selected contact, put it in a bold tag */}
-              {selectedId === contact.id ? <b>{contact.name}</b> : contact.name}
-            </button>
-          </li>
-        ))}
-      </ul>
+                        }
+                        dispatch({
+                          type: "changed_selection",
+                          contactId: contact.id,
+                        });
+                      }}
+                    >
+                      {/* if the contact is the selected contact, put it in a bold tag */}
+                      {selectedId === contact.id ? (
+                        <b>{contact.name}</b>
+                      ) : (
+                        contact.name
+                      )}
+                      {unread[contact.id] > 0 && (
+                        <span className="unread-count">
+                          {unread[contact.id]}
+                          <span className="visually-hidden"> unread</span>
+                        </span>
+                      )}
+                    </button>
+                    <button onClick={() => setEditingId(contact.id)}>
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => {
+                        // the draft and the conversation go with the contact
+                        if (
+                          confirm(`Delete ${contact.name} and your messages?`)
+                        ) {
+                          dispatch({
+                            type: "deleted_contact",
+                            contactId: contact.id,
+                          });
+                        }
+                      }}
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </Fragment>
+      ))}
+      <ContactForm
+        contacts={contacts}
+        submitLabel="Add contact"
+        onSubmit={({ name, email }) =>
+          dispatch({ type: "added_contact", name: name, email: email })
+        }
+      />
     </section>
   );
 }
+
+/* form for a new contact, or for editing one, the errors show up once a field
+was left, or the form was submitted, not while the first letters are typed */
+function ContactForm({
+  contact = { id: null, name: "", email: "" },
+  contacts,
+  submitLabel,
+  onSubmit,
+  onCancel,
+}) {
+  const [name, setName] = useState(contact.name);
+  const [email, setEmail] = useState(contact.email);
+  const [touched, setTouched] = useState({});
+  const errors = validateContact({ id: contact.id, name, email }, contacts);
+  const isValid = Object.keys(errors).length === 0;
+
+  return (
+    <form
+      className="contact-form"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (isValid) {
+          onSubmit({ name, email });
+          /* the new contact form is emptied after the contact is added, an
+          edit form is closed by its parent */
+          if (contact.id === null) {
+            setName("");
+            setEmail("");
+            setTouched({});
+          }
+        } else {
+          setTouched({ name: true, email: true });
+        }
+      }}
+    >
+      <Avatar name={name} />
+      <input
+        aria-label="Name"
+        placeholder="Name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={() => setTouched({ ...touched, name: true })}
+        aria-invalid={touched.name && errors.name !== undefined}
+      />
+      {touched.name && errors.name && (
+        <span className="field-error">{errors.name}</span>
+      )}
+      <input
+        type="email"
+        aria-label="Email"
+        placeholder="Email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        onBlur={() => setTouched({ ...touched, email: true })}
+        aria-invalid={touched.email && errors.email !== undefined}
+      />
+      {touched.email && errors.email && (
+        <span className="field-error">{errors.email}</span>
+      )}
+      <button type="submit">{submitLabel}</button>
+      {onCancel && (
+        <button type="button" onClick={onCancel}>
+          Cancel
+        </button>
+      )}
+    </form>
+  );
+}
+
+/* fuzzy match, the letters of the query have to be in the text in the same
+order, but not next to each other, so "tlr" finds "Taylor", spaces in the
+query are ignored */
+function isFuzzyMatch(query, text) {
+  const letters = query.toLowerCase().replace(/\s+/g, "");
+  let matched = 0;
+  for (const char of text.toLowerCase()) {
+    if (char === letters[matched]) {
+      matched++;
+    }
+  }
+  return matched === letters.length;
+}
+
+/* sorts the contacts by name, and groups them by first letter, accents don't
+count, so "Émile" is under E, names that don't start with a letter are under
+# */
+function groupByLetter(contacts) {
+  const sorted = [...contacts].sort((a, b) => a.name.localeCompare(b.name));
+  // by letter, a Map keeps the letters in the order they first show up
+  const groups = new Map();
+  for (const contact of sorted) {
+    const first = contact.name.normalize("NFD")[0] ?? "";
+    const letter = /\p{L}/u.test(first) ? first.toUpperCase() : "#";
+    groups.set(letter, [...(groups.get(letter) ?? []), contact]);
+  }
+  return [...groups].map(([letter, contacts]) => ({ letter, contacts }));
+}
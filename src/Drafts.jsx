@@ -0,0 +1,124 @@
+import { useEffect, useRef, useState } from "react";
+import { localStorageAdapter } from "./Storage";
+
+// a week, in milliseconds
+export const DEFAULT_DRAFT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/* useDraftPersistence saves the Messenger drafts (state.messages), so they
+survive a reload
+on mount the saved drafts are loaded, and a restored_drafts action puts them
+into the state, after that every change is saved, delay ms after the last
+key press, so typing doesn't write to storage on every key
+drafts are saved with the time they last changed,
+{ [contactId]: { text, savedAt } }, and a draft older than maxAge isn't
+restored, the contact starts from the draft in initialState instead
+only the text is saved, the attachments' object URLs die with the page
+storage and storageKey work like TasksProvider's (see Storage.jsx) */
+export function useDraftPersistence(
+  messages,
+  dispatch,
+  {
+    storage = localStorageAdapter,
+    storageKey = "messenger-drafts",
+    maxAge = DEFAULT_DRAFT_MAX_AGE,
+    delay = 1000,
+  } = {}
+) {
+  // the drafts aren't saved until the saved ones are loaded, like the tasks
+  const [isHydrated, setIsHydrated] = useState(false);
+  // what's in storage, so a draft that didn't change keeps its savedAt
+  const savedRef = useRef({});
+  // saves the latest drafts right away, null when nothing is waiting
+  const flushRef = useRef(null);
+  // MyReact's dispatch is new on every render, the ref keeps the latest one
+  const dispatchRef = useRef(dispatch);
+
+  useEffect(() => {
+    dispatchRef.current = dispatch;
+  });
+
+  useEffect(() => {
+    let ignore = false;
+    setIsHydrated(false);
+    storage
+      .load(storageKey)
+      .then((stored) => {
+        if (ignore || stored === null) {
+          return;
+        }
+        const fresh = dropExpiredDrafts(stored, Date.now(), maxAge);
+        savedRef.current = fresh;
+        dispatchRef.current({
+          type: "restored_drafts",
+          drafts: Object.fromEntries(
+            Object.entries(fresh).map(([id, draft]) => [
+              id,
+              { text: draft.text, attachments: [] },
+            ])
+          ),
+        });
+      })
+      .catch((error) => {
+        console.error("Could not load drafts", error);
+      })
+      .finally(() => {
+        if (!ignore) {
+          setIsHydrated(true);
+        }
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [storage, storageKey, maxAge]);
+
+  useEffect(() => {
+    if (!isHydrated) {
+      return;
+    }
+    function flush() {
+      flushRef.current = null;
+      const drafts = stampDrafts(messages, savedRef.current, Date.now());
+      savedRef.current = drafts;
+      storage.save(storageKey, drafts).catch((error) => {
+        console.error("Could not save drafts", error);
+      });
+    }
+    flushRef.current = flush;
+    const timeoutId = setTimeout(flush, delay);
+    return () => clearTimeout(timeoutId);
+  }, [storage, storageKey, messages, isHydrated, delay]);
+
+  /* a draft typed just before the page closes, or Messenger unmounts, is
+  saved without waiting for the delay */
+  useEffect(() => {
+    function handlePageHide() {
+      flushRef.current?.();
+    }
+    window.addEventListener("pagehide", handlePageHide);
+    return () => {
+      window.removeEventListener("pagehide", handlePageHide);
+      handlePageHide();
+    };
+  }, []);
+}
+
+/* the drafts with the time they last changed, a draft that's the same as the
+saved one keeps the saved time, so only typing makes a draft young again */
+function stampDrafts(messages, saved, now) {
+  return Object.fromEntries(
+    Object.entries(messages).map(([id, { text }]) => [
+      id,
+      saved[id] && saved[id].text === text ? saved[id] : { text, savedAt: now },
+    ])
+  );
+}
+
+// the drafts that changed at most maxAge ms before now
+function dropExpiredDrafts(drafts, now, maxAge) {
+  return Object.fromEntries(
+    Object.entries(drafts).filter(
+      ([, draft]) =>
+        typeof draft?.text === "string" && now - draft.savedAt <= maxAge
+    )
+  );
+}
@@ -0,0 +1,191 @@
+import { useState } from "react";
+
+/* the group conversations, under ContactList, a group is selected like a
+contact, with changed_selection, and its members are picked from the contacts
+every group can be renamed, and get members added or removed, the last
+member can't be removed */
+export default function GroupList({
+  groups,
+  contacts,
+  selectedId,
+  unread,
+  dispatch,
+}) {
+  // id of the group whose edit form is open, null when none is
+  const [editingId, setEditingId] = useState(null);
+  return (
+    <section className="group-list">
+      <h3>Groups</h3>
+      {groups.length === 0 && <p>No groups yet.</p>}
+      <ul>
+        {groups.map((group) => (
+          <li key={group.id}>
+            <button
+              onClick={() => {
+                dispatch({ type: "changed_selection", contactId: group.id });
+              }}
+            >
+              {selectedId === group.id ? <b>{group.name}</b> : group.name}
+              {unread[group.id] > 0 && (
+                <span className="unread-count">
+                  {unread[group.id]}
+                  <span className="visually-hidden"> unread</span>
+                </span>
+              )}
+            </button>{" "}
+            <small>{memberNames(group, contacts)}</small>{" "}
+            {editingId === group.id ? (
+              <GroupEditor
+                group={group}
+                contacts={contacts}
+                dispatch={dispatch}
+                onClose={() => setEditingId(null)}
+              />
+            ) : (
+              <button onClick={() => setEditingId(group.id)}>Edit</button>
+            )}
+          </li>
+        ))}
+      </ul>
+      <NewGroupForm contacts={contacts} dispatch={dispatch} />
+    </section>
+  );
+}
+
+// "Alice, Bob"
+function memberNames(group, contacts) {
+  return contacts
+    .filter((c) => group.memberIds.includes(c.id))
+    .map((c) => c.name)
+    .join(", ");
+}
+
+/* a name, and a checkbox for every contact, a group needs a name and at
+least two members, like the reducer checks */
+function NewGroupForm({ contacts, dispatch }) {
+  const [name, setName] = useState("");
+  const [memberIds, setMemberIds] = useState([]);
+  const isValid = name.trim() !== "" && memberIds.length >= 2;
+
+  return (
+    <form
+      className="group-form"
+      onSubmit={(e) => {
+        e.preventDefault();
+        dispatch({ type: "created_group", name, memberIds });
+        // the form is cleared for the next group
+        setName("");
+        setMemberIds([]);
+      }}
+    >
+      <input
+        aria-label="Group name"
+        placeholder="Group name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <fieldset>
+        <legend>Members</legend>
+        {contacts.map((contact) => (
+          <label key={contact.id}>
+            <input
+              type="checkbox"
+              checked={memberIds.includes(contact.id)}
+              onChange={(e) => {
+                setMemberIds(
+                  e.target.checked
+                    ? [...memberIds, contact.id]
+                    : memberIds.filter((id) => id !== contact.id)
+                );
+              }}
+            />
+            {contact.name}
+          </label>
+        ))}
+      </fieldset>
+      <button type="submit" disabled={!isValid}>
+        Create group
+      </button>
+    </form>
+  );
+}
+
+/* renames the group, and adds or removes members, every change is dispatched
+right away, except the name, which is saved with the Rename button */
+function GroupEditor({ group, contacts, dispatch, onClose }) {
+  const [name, setName] = useState(group.name);
+  const members = contacts.filter((c) => group.memberIds.includes(c.id));
+  const others = contacts.filter((c) => !group.memberIds.includes(c.id));
+  // the contact picked in the add member select, "" when none is
+  const [newMemberId, setNewMemberId] = useState("");
+
+  return (
+    <div className="group-editor">
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          dispatch({ type: "renamed_group", groupId: group.id, name });
+        }}
+      >
+        <input
+          aria-label="Group name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button type="submit" disabled={name.trim() === ""}>
+          Rename
+        </button>
+      </form>
+      <ul aria-label={"Members of " + group.name}>
+        {members.map((contact) => (
+          <li key={contact.id}>
+            {contact.name} <small>{contact.email}</small>{" "}
+            <button
+              disabled={members.length === 1}
+              onClick={() => {
+                dispatch({
+                  type: "removed_group_member",
+                  groupId: group.id,
+                  contactId: contact.id,
+                });
+              }}
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+      {others.length > 0 && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            dispatch({
+              type: "added_group_member",
+              groupId: group.id,
+              // select values are strings, contact ids are numbers
+              contactId: Number(newMemberId),
+            });
+            setNewMemberId("");
+          }}
+        >
+          <select
+            aria-label="New member"
+            value={newMemberId}
+            onChange={(e) => setNewMemberId(e.target.value)}
+          >
+            <option value="">Pick a contact</option>
+            {others.map((contact) => (
+              <option key={contact.id} value={contact.id}>
+                {contact.name}
+              </option>
+            ))}
+          </select>
+          <button type="submit" disabled={newMemberId === ""}>
+            Add member
+          </button>
+        </form>
+      )}
+      <button onClick={onClose}>Done</button>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+/* renders text with every case-insensitive match of query wrapped in a mark
+element, ex. query "ma" in "Drink matcha" gives Drink <mark>ma</mark>tcha */
+export default function Highlight({ text, query }) {
+  const search = query.trim().toLowerCase();
+  if (search === "") {
+    return text;
+  }
+  const lowerText = text.toLowerCase();
+  const parts = [];
+  let start = 0;
+  let index = lowerText.indexOf(search);
+  while (index !== -1) {
+    parts.push(text.slice(start, index));
+    parts.push(
+      <mark key={index}>{text.slice(index, index + search.length)}</mark>
+    );
+    start = index + search.length;
+    index = lowerText.indexOf(search, start);
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
@@ -0,0 +1,94 @@
+/* time travel - since every reducer is pure, the same state and action always
+give the same next state, so keeping the old states around is enough to go back
+and forth in time
+
+history state has three parts
+past - array of the states before the present one, oldest first
+present - the current state, the one components render
+future - array of the states I undid, the next redo comes first */
+export function initialHistory(present) {
+  return { past: [], present, future: [] };
+}
+
+/* withHistory wraps a reducer and returns a new reducer that manages history
+state instead of the plain state
+undone, redone, and jumped actions move through the history, reset starts a new
+one, and every other action is passed to the wrapped reducer
+limit caps how many past states are remembered */
+export function withHistory(reducer, limit = 100) {
+  return function historyReducer(history, action) {
+    const { past, present, future } = history;
+    switch (action.type) {
+      case "undone": {
+        // nothing to undo, returns the same object so React skips the re-render
+        if (past.length === 0) {
+          return history;
+        }
+        return {
+          past: past.slice(0, -1),
+          present: past[past.length - 1],
+          future: [present, ...future],
+        };
+      }
+      case "redone": {
+        if (future.length === 0) {
+          return history;
+        }
+        return {
+          past: [...past, present],
+          present: future[0],
+          future: future.slice(1),
+        };
+      }
+      case "jumped": {
+        /* action.index is a position in the whole timeline, past, then present,
+        then future */
+        const timeline = [...past, present, ...future];
+        if (
+          action.index < 0 ||
+          action.index >= timeline.length ||
+          action.index === past.length
+        ) {
+          return history;
+        }
+        return {
+          past: timeline.slice(0, action.index),
+          present: timeline[action.index],
+          future: timeline.slice(action.index + 1),
+        };
+      }
+      case "reset": {
+        /* replaces the whole history with a fresh one, ex. after loading saved
+        state, so undo can't go back to the state before it was loaded */
+        return initialHistory(action.present);
+      }
+      default: {
+        const nextPresent = reducer(present, action);
+        // actions that don't change anything are not recorded
+        if (nextPresent === present) {
+          return history;
+        }
+        /* a new action starts a new branch, so the future is thrown away, like
+        typing after undoing in a text editor */
+        return {
+          past: [...past, present].slice(-limit),
+          present: nextPresent,
+          future: [],
+        };
+      }
+    }
+  };
+}
+
+/* historyControls bundles the history state with the functions that dispatch
+the time travel actions, so components don't build these actions themselves */
+export function historyControls(history, dispatch) {
+  return {
+    history,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    undo: () => dispatch({ type: "undone" }),
+    redo: () => dispatch({ type: "redone" }),
+    jumpTo: (index) => dispatch({ type: "jumped", index: index }),
+  };
+}
@@ -0,0 +1,116 @@
+/* id service - one place that hands out ids, instead of every component keeping
+its own let nextId counter
+an id generator has one method, next(items), which returns an id that none of
+the items (objects with an id property) already use
+
+strategies
+- "counter" - numbers, one more than the largest numeric id in items, so the
+              next id only depends on the items, which keeps reducers pure
+- "uuid" - random UUID v4 strings, safe to merge with ids made anywhere else
+- "ulid" - 26 character strings that sort by creation time, and are still
+           random enough to merge safely */
+export function createIdGenerator(strategy = "ulid") {
+  switch (strategy) {
+    case "counter": {
+      return {
+        next(items = []) {
+          // -1 so an empty list starts at 0
+          const max = items.reduce(
+            (largest, item) =>
+              typeof item.id === "number"
+                ? Math.max(largest, item.id)
+                : largest,
+            -1
+          );
+          return max + 1;
+        },
+      };
+    }
+    case "uuid": {
+      return { next: (items = []) => unusedId(items, uuid) };
+    }
+    case "ulid": {
+      return { next: (items = []) => unusedId(items, ulid) };
+    }
+    default: {
+      throw Error("Unknown id strategy: " + strategy);
+    }
+  }
+}
+
+/* random ids practically never collide, but checking is cheap, and a merged or
+imported list could already hold the id */
+function unusedId(items, makeId) {
+  const usedIds = new Set(items.map((item) => item.id));
+  let id = makeId();
+  while (usedIds.has(id)) {
+    id = makeId();
+  }
+  return id;
+}
+
+export function uuid() {
+  // randomUUID is only available in secure contexts (https or localhost)
+  if (typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  // sets the version (4) and variant bits the way RFC 4122 describes
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join(
+    ""
+  );
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join("-");
+}
+
+// Crockford's base32, it leaves out I, L, O and U so ids are easy to read
+const ULID_ENCODING = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+/* the last time and random part are remembered, so ulids made in the same
+millisecond still sort in the order they were made */
+let lastTime = -1;
+let lastRandom = [];
+
+/* a ulid is 10 characters of timestamp (ms) followed by 16 random characters,
+each character holds 5 bits */
+export function ulid(now = Date.now()) {
+  let random;
+  if (now === lastTime) {
+    // same millisecond, increments the previous random part by one
+    random = incrementBase32(lastRandom);
+  } else {
+    random = Array.from(
+      crypto.getRandomValues(new Uint8Array(16)),
+      (b) => b % 32
+    );
+  }
+  lastTime = now;
+  lastRandom = random;
+
+  let time = "";
+  for (let i = 0, rest = now; i < 10; i++) {
+    time = ULID_ENCODING[rest % 32] + time;
+    rest = Math.floor(rest / 32);
+  }
+  return time + random.map((digit) => ULID_ENCODING[digit]).join("");
+}
+
+// adds one to an array of base32 digits, carrying from the last digit
+function incrementBase32(digits) {
+  const next = [...digits];
+  for (let i = next.length - 1; i >= 0; i--) {
+    if (next[i] < 31) {
+      next[i]++;
+      return next;
+    }
+    next[i] = 0;
+  }
+  throw Error("ulid random part overflowed in one millisecond");
+}
@@ -0,0 +1,132 @@
+import { Fragment } from "react";
+
+/* a small markdown renderer for chat messages, it builds React elements, never
+an HTML string, so whatever is typed shows up as text, and can't add markup
+blocks
+- paragraphs, separated by a blank line, a single line break is kept
+- lists, lines that start with "- " or "* "
+- code blocks, between two ``` lines
+inline
+- **bold**, *italic* or _italic_, ~~strikethrough~~, `code`
+- [text](url), only http, https and mailto links, anything else stays text */
+export default function Markdown({ text }) {
+  return <div className="markdown">{renderBlocks(text)}</div>;
+}
+
+function renderBlocks(text) {
+  const lines = text.split("\n");
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (line.trim() === "") {
+      i++;
+    } else if (line.startsWith("```")) {
+      // everything up to the closing ```, or to the end if it's missing
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].startsWith("```")) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push(
+        <pre key={blocks.length}>
+          <code>{code.join("\n")}</code>
+        </pre>
+      );
+    } else if (isListItem(line)) {
+      const items = [];
+      while (i < lines.length && isListItem(lines[i])) {
+        items.push(lines[i].slice(2));
+        i++;
+      }
+      blocks.push(
+        <ul key={blocks.length}>
+          {items.map((item, index) => (
+            <li key={index}>{renderInline(item)}</li>
+          ))}
+        </ul>
+      );
+    } else {
+      // a paragraph runs until a blank line, a list, or a code block
+      const paragraph = [];
+      while (
+        i < lines.length &&
+        lines[i].trim() !== "" &&
+        !lines[i].startsWith("```") &&
+        !isListItem(lines[i])
+      ) {
+        paragraph.push(lines[i]);
+        i++;
+      }
+      blocks.push(
+        <p key={blocks.length}>
+          {paragraph.map((paragraphLine, index) => (
+            <span key={index}>
+              {index > 0 && <br />}
+              {renderInline(paragraphLine)}
+            </span>
+          ))}
+        </p>
+      );
+    }
+  }
+  return blocks;
+}
+
+function isListItem(line) {
+  return line.startsWith("- ") || line.startsWith("* ");
+}
+
+/* the inline marks, code comes first, so a * inside `code` stays a *
+render gets the match, the groups hold the text between the marks */
+const inlineMarks = [
+  { pattern: /`([^`]+)`/, render: (match) => <code>{match[1]}</code> },
+  {
+    pattern: /\*\*(.+?)\*\*/,
+    render: (match) => <strong>{renderInline(match[1])}</strong>,
+  },
+  {
+    pattern: /~~(.+?)~~/,
+    render: (match) => <s>{renderInline(match[1])}</s>,
+  },
+  {
+    // *italic* or _italic_, only one of the two groups matches
+    pattern: /\*([^*\s][^*]*?)\*|\b_([^_]+)_\b/,
+    render: (match) => <em>{renderInline(match[1] ?? match[2])}</em>,
+  },
+  {
+    pattern: /\[([^\]]+)\]\(((?:https?:|mailto:)[^)\s]+)\)/,
+    render: (match) => (
+      <a href={match[2]} target="_blank" rel="noreferrer">
+        {match[1]}
+      </a>
+    ),
+  },
+];
+
+/* renders the text with its inline marks, the mark that starts first wins,
+the text before it stays as it is, and the rest goes around again */
+function renderInline(text) {
+  const nodes = [];
+  let rest = text;
+  while (rest !== "") {
+    let first = null;
+    for (const mark of inlineMarks) {
+      const match = mark.pattern.exec(rest);
+      if (match && (first === null || match.index < first.match.index)) {
+        first = { mark, match };
+      }
+    }
+    if (first === null) {
+      nodes.push(rest);
+      break;
+    }
+    const { mark, match } = first;
+    nodes.push(rest.slice(0, match.index));
+    nodes.push(<Fragment key={nodes.length}>{mark.render(match)}</Fragment>);
+    rest = rest.slice(match.index + match[0].length);
+  }
+  return nodes;
+}
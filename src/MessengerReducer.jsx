@@ -1,11 +1,51 @@
+import { createIdGenerator } from "./Ids";
+
 /* initial selected contact is Taylor, and sets initial messages 
-for all contacts */
+for all contacts
+contacts are part of the state, so they can be added, edited, and removed,
+groups are conversations with several contacts, { id, name, memberIds }, a
+group's id is a string, "group-0", so it never clashes with a contact's id
+messages, threads, and unread are keyed by conversation id, the id of a
+contact or of a group, and every conversation has all three
+selectedId is the selected conversation, null when there's none left
+messages holds the draft per contact, what's in the composer,
+{ text, attachments }, text is markdown, and every attachment is
+{ id, name, type, size, url }, url is an object URL for the picked file
+threads holds the messages sent to and received from each contact, oldest
+first, each message is { id, author, text, attachments, sentAt, status }
+author - "me", or the id of the contact who wrote it
+sentAt - when it was sent, in milliseconds since 1970 (Date.now())
+status - "sending" until the transport reports back (see Transport.jsx), then
+         "delivered" or "failed", received messages are "received"
+unread counts the messages received from each contact since it was last
+selected
+nextContactId is the id the next added contact gets, it only goes up, so a new
+contact never gets the id of a deleted one, with its thread and its draft,
+nextGroupNumber does the same for groups, "group-" and the number */
 export const initialState = {
+  contacts: [
+    { id: 0, name: "Taylor", email: "taylor@mail.com" },
+    { id: 1, name: "Alice", email: "alice@mail.com" },
+    { id: 2, name: "Bob", email: "bob@mail.com" },
+  ],
+  nextContactId: 3,
+  nextGroupNumber: 0,
+  groups: [],
   selectedId: 0,
   messages: {
-    0: "Hello, Taylor",
-    1: "Hello, Alice",
-    2: "Hello, Bob",
+    0: { text: "Hello, Taylor", attachments: [] },
+    1: { text: "Hello, Alice", attachments: [] },
+    2: { text: "Hello, Bob", attachments: [] },
+  },
+  threads: {
+    0: [],
+    1: [],
+    2: [],
+  },
+  unread: {
+    0: 0,
+    1: 0,
+    2: 0,
   },
 };
 
@@ -16,6 +56,7 @@ and returns the next state based on the action type (changed selection,
 edited message, sent message, or default unknown action */
 export function messengerReducer(state, action) {
   switch (action.type) {
+    // contactId is the id of the conversation, a group's id works too
     case "changed_selection": {
       /* React sets the state to what I return from the reducer 
       when the dispatched action object is a changed selection, 
@@ -25,6 +66,8 @@ export function messengerReducer(state, action) {
         ...state,
         selectedId: action.contactId,
         // message: " ";,
+        // the contact's messages are read now
+        unread: { ...state.unread, [action.contactId]: 0 },
       };
     }
     // updates the reducer to store and update a separate message draft per contact
@@ -38,24 +81,314 @@ export function messengerReducer(state, action) {
         messages: {
           // keeps messages for other contacts
           ...state.messages,
-          // changes selected contact's message to be e.target.value
+          // changes selected contact's message to the composer's draft
           [state.selectedId]: action.message,
         },
       };
     }
+    case "restored_drafts": {
+      /* the drafts saved before a reload (see Drafts.jsx), drafts of contacts
+      that were deleted since then are left out */
+      const drafts = Object.fromEntries(
+        Object.entries(action.drafts).filter(([id]) => id in state.messages)
+      );
+      return {
+        ...state,
+        messages: { ...state.messages, ...drafts },
+      };
+    }
     case "sent_message": {
-      /*  when the dispatched action object is a sent message, 
-      sets selected contact's message to empty string in the textarea */
+      /*  when the dispatched action object is a sent message, the message
+      it carries, { text, attachments }, is appended to the selected
+      contact's thread, and the composer is emptied
+      the time comes from the action, Date.now() in the reducer would make
+      it impure */
+      const thread = state.threads[state.selectedId] ?? [];
+      const { text, attachments } = action.message;
+      // an empty message has nothing to send
+      if (text.trim() === "" && attachments.length === 0) {
+        return state;
+      }
       return {
         ...state,
         messages: {
           ...state.messages,
-          [state.selectedId]: "",
+          [state.selectedId]: emptyDraft,
         },
+        threads: {
+          ...state.threads,
+          [state.selectedId]: [
+            ...thread,
+            {
+              id: messageIds.next(thread),
+              author: "me",
+              text,
+              attachments,
+              sentAt: action.sentAt,
+              status: "sending",
+            },
+          ],
+        },
+      };
+    }
+    /* the transport's events come back as actions, they name the contact,
+    since the selection can change while a message is on its way */
+    case "delivered_message": {
+      return updateMessage(state, action.contactId, action.messageId, {
+        status: "delivered",
+      });
+    }
+    case "failed_message": {
+      return updateMessage(state, action.contactId, action.messageId, {
+        status: "failed",
+      });
+    }
+    case "received_message": {
+      // a reply can arrive after its contact was deleted, it has no thread
+      if (!state.threads[action.contactId]) {
+        return state;
+      }
+      const thread = state.threads[action.contactId];
+      return {
+        ...state,
+        threads: {
+          ...state.threads,
+          [action.contactId]: [
+            ...thread,
+            {
+              id: messageIds.next(thread),
+              author: action.contactId,
+              text: action.text,
+              attachments: [],
+              sentAt: action.sentAt,
+              status: "received",
+            },
+          ],
+        },
+        // a reply in the open chat is read right away
+        unread:
+          action.contactId === state.selectedId
+            ? state.unread
+            : {
+                ...state.unread,
+                [action.contactId]: (state.unread[action.contactId] ?? 0) + 1,
+              },
+      };
+    }
+    /* contact actions, the form checks the fields with validateContact first,
+    the reducer checks again, and ignores a contact that isn't valid */
+    case "added_contact": {
+      const contact = {
+        id: state.nextContactId,
+        name: action.name.trim(),
+        email: action.email.trim(),
+      };
+      if (Object.keys(validateContact(contact, state.contacts)).length > 0) {
+        return state;
+      }
+      return {
+        ...state,
+        contacts: [...state.contacts, contact],
+        nextContactId: state.nextContactId + 1,
+        // the first contact is selected right away
+        selectedId: state.selectedId ?? contact.id,
+        messages: { ...state.messages, [contact.id]: emptyDraft },
+        threads: { ...state.threads, [contact.id]: [] },
+        unread: { ...state.unread, [contact.id]: 0 },
+      };
+    }
+    case "edited_contact": {
+      const contact = {
+        id: action.contactId,
+        name: action.name.trim(),
+        email: action.email.trim(),
+      };
+      if (Object.keys(validateContact(contact, state.contacts)).length > 0) {
+        return state;
+      }
+      return {
+        ...state,
+        contacts: state.contacts.map((c) =>
+          c.id === contact.id ? contact : c
+        ),
+      };
+    }
+    case "deleted_contact": {
+      /* the contact's draft, thread, and unread count go with it, it leaves
+      every group it was in, and a group nobody is left in goes too
+      when the selected conversation is gone, the contact after the deleted
+      one (or before it, if it was the last) is selected instead, so
+      selectedId always points to a conversation, or is null */
+      const index = state.contacts.findIndex((c) => c.id === action.contactId);
+      if (index === -1) {
+        return state;
+      }
+      const contacts = state.contacts.filter((c) => c.id !== action.contactId);
+      const groups = state.groups.map((g) => ({
+        ...g,
+        memberIds: g.memberIds.filter((id) => id !== action.contactId),
+      }));
+      const goneIds = [
+        action.contactId,
+        ...groups.filter((g) => g.memberIds.length === 0).map((g) => g.id),
+      ];
+      const { messages, threads, unread } = withoutConversations(
+        state,
+        goneIds
+      );
+      let selectedId = state.selectedId;
+      if (goneIds.includes(selectedId)) {
+        const nextContact = contacts[index] ?? contacts[index - 1];
+        selectedId = nextContact ? nextContact.id : null;
+        if (nextContact) {
+          unread[nextContact.id] = 0;
+        }
+      }
+      return {
+        ...state,
+        contacts,
+        groups: groups.filter((g) => !goneIds.includes(g.id)),
+        selectedId,
+        messages,
+        threads,
+        unread,
       };
     }
+    /* group actions, a group needs a name, and at least two members when it's
+    created, after that members come and go, but the last one stays */
+    case "created_group": {
+      const name = action.name.trim();
+      // only contacts that exist, in the order of the contacts
+      const memberIds = state.contacts
+        .map((c) => c.id)
+        .filter((id) => action.memberIds.includes(id));
+      if (name === "" || memberIds.length < 2) {
+        return state;
+      }
+      const id = "group-" + state.nextGroupNumber;
+      return {
+        ...state,
+        groups: [...state.groups, { id, name, memberIds }],
+        nextGroupNumber: state.nextGroupNumber + 1,
+        // the new group opens right away
+        selectedId: id,
+        messages: { ...state.messages, [id]: emptyDraft },
+        threads: { ...state.threads, [id]: [] },
+        unread: { ...state.unread, [id]: 0 },
+      };
+    }
+    case "renamed_group": {
+      const name = action.name.trim();
+      if (name === "") {
+        return state;
+      }
+      return updateGroup(state, action.groupId, (g) => ({ ...g, name }));
+    }
+    case "added_group_member": {
+      if (!state.contacts.some((c) => c.id === action.contactId)) {
+        return state;
+      }
+      return updateGroup(state, action.groupId, (g) =>
+        g.memberIds.includes(action.contactId)
+          ? g
+          : { ...g, memberIds: [...g.memberIds, action.contactId] }
+      );
+    }
+    case "removed_group_member": {
+      return updateGroup(state, action.groupId, (g) =>
+        g.memberIds.length === 1
+          ? g
+          : {
+              ...g,
+              memberIds: g.memberIds.filter((id) => id !== action.contactId),
+            }
+      );
+    }
     default: {
       throw Error("Unknown action: " + action.type);
     }
   }
 }
+
+// drafts are never changed in place, so every contact can share this one
+const emptyDraft = { text: "", attachments: [] };
+
+// message ids count up within each thread
+const messageIds = createIdGenerator("counter");
+
+/* the selected conversation, as { id, name, recipients }, recipients are the
+contacts the messages go to, the contact itself, or a group's members, null
+when nothing is selected */
+export function getConversation(state) {
+  const contact = state.contacts.find((c) => c.id === state.selectedId);
+  if (contact) {
+    return { id: contact.id, name: contact.name, recipients: [contact] };
+  }
+  const group = state.groups.find((g) => g.id === state.selectedId);
+  if (group) {
+    return {
+      id: group.id,
+      name: group.name,
+      recipients: state.contacts.filter((c) => group.memberIds.includes(c.id)),
+    };
+  }
+  return null;
+}
+
+/* checks a contact's fields, returns the errors by field name, an empty
+object when the contact is valid
+the email must look like an email, and no other contact can have it */
+export function validateContact({ id, name, email }, contacts) {
+  const errors = {};
+  if (name.trim() === "") {
+    errors.name = "Enter a name";
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    errors.email = "Enter an email like name@mail.com";
+  } else if (
+    contacts.some(
+      (c) => c.id !== id && c.email.toLowerCase() === email.trim().toLowerCase()
+    )
+  ) {
+    errors.email = "Another contact has this email";
+  }
+  return errors;
+}
+
+// returns a new state where one message of a thread has the fields replaced
+function updateMessage(state, contactId, messageId, fields) {
+  const thread = state.threads[contactId];
+  if (!thread) {
+    return state;
+  }
+  return {
+    ...state,
+    threads: {
+      ...state.threads,
+      [contactId]: thread.map((m) =>
+        m.id === messageId ? { ...m, ...fields } : m
+      ),
+    },
+  };
+}
+
+// returns a new state where one group is replaced by update(group)
+function updateGroup(state, groupId, update) {
+  return {
+    ...state,
+    groups: state.groups.map((g) => (g.id === groupId ? update(g) : g)),
+  };
+}
+
+// copies of messages, threads, and unread, without the conversations of ids
+function withoutConversations(state, ids) {
+  const messages = { ...state.messages };
+  const threads = { ...state.threads };
+  const unread = { ...state.unread };
+  for (const id of ids) {
+    delete messages[id];
+    delete threads[id];
+    delete unread[id];
+  }
+  return { messages, threads, unread };
+}
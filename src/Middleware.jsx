@@ -0,0 +1,51 @@
+/* middlewares sit between dispatch and the reducer, a Redux-style middleware
+is a curried function, store => next => action
+- store has getState and dispatch
+- next passes the action on to the next middleware, and the last next calls
+  the reducer
+the reducers stay pure, logging, validation and async work all happen here */
+
+/* logger prints every action together with the state before and after
+the reducer handled it */
+export const logger = (store) => (next) => (action) => {
+  // thunks are functions, they never reach the reducer, so there is nothing to log
+  if (typeof action === "function") {
+    return next(action);
+  }
+  console.groupCollapsed("action " + action.type);
+  console.log("prev state", store.getState());
+  console.log("action", action);
+  const result = next(action);
+  console.log("next state", store.getState());
+  console.groupEnd();
+  return result;
+};
+
+/* thunk lets me dispatch a function instead of an action object
+the function gets dispatch and getState, so it can dispatch real actions
+later, ex. after a timeout or a fetch */
+export const thunk = (store) => (next) => (action) => {
+  if (typeof action === "function") {
+    return action(store.dispatch, store.getState);
+  }
+  return next(action);
+};
+
+/* validateActions returns a middleware that rejects malformed actions before
+they reach the reducer
+an action must be an object with a string type, and if actionTypes is given,
+the type must be one of them */
+export function validateActions(actionTypes) {
+  return () => (next) => (action) => {
+    if (action === null || typeof action !== "object") {
+      throw Error("Actions must be objects, got: " + action);
+    }
+    if (typeof action.type !== "string") {
+      throw Error("Actions must have a string type, got: " + action.type);
+    }
+    if (actionTypes && !actionTypes.includes(action.type)) {
+      throw Error("Unknown action: " + action.type);
+    }
+    return next(action);
+  };
+}
@@ -1,25 +1,67 @@
-import { useState } from "react";
+import { useState, useRef } from "react";
+import { historyControls, initialHistory, withHistory } from "./History";
 
 // both useState and useReducer have updater arguments
-export function useReducer(reducer, initialState) {
+/* middlewares is an optional, ordered list of Redux-style middlewares, 
+store => next => action, that wrap dispatch 
+the first middleware in the list sees every action first, and the last one 
+hands the action to the reducer */
+export function useReducer(reducer, initialState, middlewares = []) {
   /* state updates gets queued to be processed before the next render, batching 
   multiple updates within the same cycle for efficiency */
   const [state, setState] = useState(initialState);
+  /* stateRef always holds the latest state, so getState() can return the 
+  next state right after an action goes through, before React re-renders */
+  const stateRef = useRef(state);
 
   /* dispatching an action calls a reducer with the current state and the action
     object, then stores the result as the next state */
-  function dispatch(action) {
+  function baseDispatch(action) {
     /* dispatched actions are queued until the next render 
     reducer processes the action and updates the state, and the state change triggers
     a subscription leading to re-renders during the next render cycle
-    reducer takes in the current state, s, initialState, and the action object, and 
-    it returns the next state based on the action type */
-    setState((s) => reducer(s, action));
+    reducer takes in the current state, stateRef.current, and the action object, and 
+    it returns the next state based on the action type 
+    the next state is calculated manually here, so middlewares can read it */
+    const nextState = reducer(stateRef.current, action);
+    stateRef.current = nextState;
+    setState(nextState);
+    return action;
   }
 
+  /* store is what every middleware receives, getState reads the latest state,
+  and dispatch sends an action through the whole chain again (a thunk uses it
+  to dispatch more actions later) */
+  const store = {
+    getState: () => stateRef.current,
+    dispatch: (action) => dispatch(action),
+  };
+  /* each middleware gets the store first, then the next dispatch in the chain, 
+  reduceRight wraps them from the last to the first so the first middleware 
+  runs first */
+  const dispatch = middlewares
+    .map((middleware) => middleware(store))
+    .reduceRight((next, middleware) => middleware(next), baseDispatch);
+
   return [state, dispatch];
 }
 
+/* useHistoryReducer is useReducer with time travel, the reducer is wrapped with
+withHistory, so every change is recorded
+it returns the present state, dispatch, and the controls to move through the
+history (undo, redo, jumpTo an index in the timeline) */
+export function useHistoryReducer(reducer, initialState, middlewares = []) {
+  const [history, dispatch] = useReducer(
+    withHistory(reducer),
+    initialHistory(initialState),
+    middlewares
+  );
+
+  const controls = historyControls(history, dispatch);
+
+  return [history.present, dispatch, controls];
+}
+
 /* 1. updating state request another render with the new state value
 - but it does not affect the state variable in my already running event handler 
 
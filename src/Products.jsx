@@ -0,0 +1,131 @@
+import { useCallback, useEffect, useState } from "react";
+import fixture from "./products.json";
+
+/* products come from a source, every source has the same interface, so the
+shop doesn't care where they come from
+- key - names the source, the cache keeps products by it
+- load(signal) - resolves with the products, and rejects when signal aborts
+a product is { id, title, price, category, description, rating } */
+
+/* the bundled fixture, no server needed, delay ms make it feel like a request,
+so the loading state shows up */
+export function createFixtureProductsSource({ delay = 0 } = {}) {
+  return {
+    key: "fixture",
+    async load(signal) {
+      await wait(delay, signal);
+      return fixture;
+    },
+  };
+}
+
+/* a REST endpoint, GET endpoint/products answers with the products array
+mock-products-server.js serves the fixture that way */
+export function createHttpProductsSource(
+  endpoint,
+  fetchImpl = (...args) => fetch(...args)
+) {
+  return {
+    key: endpoint,
+    async load(signal) {
+      const response = await fetchImpl(endpoint + "/products", { signal });
+      if (!response.ok) {
+        throw Error(`GET /products failed with ${response.status}`);
+      }
+      const products = await response.json();
+      if (!Array.isArray(products)) {
+        throw Error("GET /products didn't answer with a list");
+      }
+      return products;
+    },
+  };
+}
+
+// the products of every source that loaded, by key, they stay for the session
+const cache = new Map();
+
+/* useProducts loads the products from source, returns
+{ status, products, error, retry }
+status - "loading", "error", or "success"
+products - the loaded products, [] until they're in
+error - why the last load failed, null unless status is "error"
+retry() - loads again, skipping the cache
+a failed load is tried again retries times, waiting retryDelay ms, twice as
+long every time, before status becomes "error"
+the request is aborted when the component unmounts, or the source changes, so
+a late answer never overwrites a newer one
+source is an effect dependency, create it once, outside of the component */
+export function useProducts(source, { retries = 2, retryDelay = 500 } = {}) {
+  const [state, setState] = useState(() => cachedState(source));
+  // going up makes the effect load again
+  const [reloads, setReloads] = useState(0);
+
+  useEffect(() => {
+    if (cache.has(source.key)) {
+      setState(cachedState(source));
+      return;
+    }
+    const controller = new AbortController();
+    // the products from before stay, while the new ones load
+    setState((s) => ({ ...s, status: "loading", error: null }));
+    loadWithRetries(source, controller.signal, retries, retryDelay)
+      .then((products) => {
+        cache.set(source.key, products);
+        setState({ status: "success", products, error: null });
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) {
+          return;
+        }
+        console.error("Could not load products", error);
+        setState((s) => ({ ...s, status: "error", error }));
+      });
+    return () => controller.abort();
+  }, [source, retries, retryDelay, reloads]);
+
+  // the same function until the source changes, so it can be memoized on
+  const retry = useCallback(() => {
+    cache.delete(source.key);
+    setReloads((r) => r + 1);
+  }, [source]);
+
+  return { ...state, retry };
+}
+
+function cachedState(source) {
+  return cache.has(source.key)
+    ? { status: "success", products: cache.get(source.key), error: null }
+    : { status: "loading", products: [], error: null };
+}
+
+async function loadWithRetries(source, signal, retries, retryDelay) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await source.load(signal);
+    } catch (error) {
+      if (signal.aborted || attempt >= retries) {
+        throw error;
+      }
+      await wait(retryDelay * 2 ** attempt, signal);
+    }
+  }
+}
+
+// resolves after ms, or rejects as soon as signal aborts
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timeoutId = setTimeout(resolve, ms);
+    signal.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timeoutId);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
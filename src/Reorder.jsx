@@ -0,0 +1,148 @@
+import { useEffect, useId, useRef, useState } from "react";
+
+/* returns a new array with the item at fromIndex moved to toIndex, the items
+in between shift over by one, the original array is not mutated */
+export function moveItem(items, fromIndex, toIndex) {
+  const next = [...items];
+  const [item] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, item);
+  return next;
+}
+
+/* useReorder adds drag-and-drop and keyboard reordering to a list
+ids - the item ids in the order they're rendered
+onMove(id, targetId) - called when the item id should take targetId's place,
+                       the parent decides how the list changes (a reducer
+                       action, or a state update)
+
+pointer - drag an item and drop it on another one
+keyboard - focus an item's handle, Space picks it up, the arrow keys move it,
+           and Space, Enter or Escape puts it down
+
+getItemProps(id) goes on the element that's dragged (the li), and
+getHandleProps(id, name) on the button that's used with the keyboard
+announcement is the text for an aria-live region, so screen readers hear what
+happens to the picked up item, instructionsId links the handles to the
+instructions, both are passed to ReorderInstructions */
+export function useReorder(ids, onMove) {
+  // id of the item being dragged with the pointer
+  const [draggedId, setDraggedId] = useState(null);
+  // id of the item picked up with the keyboard
+  const [pickedId, setPickedId] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+  // useId keeps the id unique when several lists are on the page
+  const instructionsId = useId();
+  // the handle buttons by item id, so the picked one can get its focus back
+  const handlesRef = useRef(new Map());
+
+  /* when React moves the picked item's DOM node to its new place, the browser
+  can drop the focus, this puts it back on the handle after every move */
+  useEffect(() => {
+    if (pickedId !== null) {
+      handlesRef.current.get(pickedId)?.focus();
+    }
+  }, [ids, pickedId]);
+
+  function getItemProps(id) {
+    return {
+      draggable: true,
+      className: draggedId === id ? "dragging" : undefined,
+      onDragStart: (e) => {
+        e.dataTransfer.effectAllowed = "move";
+        setDraggedId(id);
+      },
+      /* an element only accepts a drop if its dragover event is canceled */
+      onDragOver: (e) => {
+        if (draggedId !== null) {
+          e.preventDefault();
+        }
+      },
+      onDrop: (e) => {
+        e.preventDefault();
+        if (draggedId !== null && draggedId !== id) {
+          onMove(draggedId, id);
+        }
+        setDraggedId(null);
+      },
+      // fires when the drag ends anywhere, even outside the list
+      onDragEnd: () => setDraggedId(null),
+    };
+  }
+
+  function getHandleProps(id, name) {
+    const isPicked = pickedId === id;
+    return {
+      "aria-label": "Reorder " + name,
+      "aria-pressed": isPicked,
+      "aria-describedby": instructionsId,
+      ref: (node) => {
+        if (node) {
+          handlesRef.current.set(id, node);
+        } else {
+          handlesRef.current.delete(id);
+        }
+      },
+      onKeyDown: (e) => {
+        const index = ids.indexOf(id);
+        if (!isPicked) {
+          if (e.key === " ") {
+            // stops Space from also clicking the button
+            e.preventDefault();
+            setPickedId(id);
+            setAnnouncement(
+              `${name} picked up at position ${index + 1} of ${ids.length}.`
+            );
+          }
+          return;
+        }
+        if (e.key === " " || e.key === "Enter" || e.key === "Escape") {
+          e.preventDefault();
+          setPickedId(null);
+          setAnnouncement(
+            `${name} dropped at position ${index + 1} of ${ids.length}.`
+          );
+          return;
+        }
+        const step = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+        if (step === undefined) {
+          return;
+        }
+        // stops the arrow keys from scrolling the page
+        e.preventDefault();
+        const targetIndex = index + step;
+        if (targetIndex < 0 || targetIndex >= ids.length) {
+          return;
+        }
+        onMove(id, ids[targetIndex]);
+        setAnnouncement(
+          `${name} moved to position ${targetIndex + 1} of ${ids.length}.`
+        );
+      },
+      /* the item is put down when focus moves to another element, a blur
+      without relatedTarget comes from the node being moved, not from the user */
+      onBlur: (e) => {
+        if (isPicked && e.relatedTarget !== null) {
+          setPickedId(null);
+        }
+      },
+    };
+  }
+
+  return { getItemProps, getHandleProps, announcement, instructionsId };
+}
+
+/* the instructions and the announcements for screen readers, rendered once
+next to a reorderable list, visually hidden */
+export function ReorderInstructions({ instructionsId, announcement }) {
+  return (
+    <>
+      <p id={instructionsId} className="visually-hidden">
+        Press Space to pick up a task, use the arrow keys to move it, and press
+        Space again to drop it.
+      </p>
+      <p aria-live="assertive" className="visually-hidden">
+        {announcement}
+      </p>
+    </>
+  );
+}
@@ -0,0 +1,206 @@
+import {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useReducer,
+} from "react";
+import { useProducts } from "./Products";
+
+/* static default value is an object with the same properties a ShopProvider
+passes down, so a component outside of one still renders, with no products
+and an empty cart that can't change
+
+the context does not hold the information, it only represents the kind of
+information I can provide or read from components */
+export const ShopContext = createContext({
+  products: [],
+  productsStatus: "loading",
+  productsError: null,
+  retryProducts: () => {},
+  cartItems: [],
+  itemCount: 0,
+  subtotal: 0,
+  addToCart: () => {},
+  removeFromCart: () => {},
+  setQuantity: () => {},
+  clearCart: () => {},
+});
+
+/* the cart is a list of lines, one per product,
+{ productId, title, price, image, quantity }
+a line copies what it needs from the product, so the cart still shows it
+while the products are loading, or after one is gone */
+const initialCart = [];
+
+/* ShopProvider gives the components below it the products, and the cart with
+the functions that change it
+source is where the products are loaded from (see Products.jsx), productsStatus
+is "loading", "error", or "success", and retryProducts loads them again */
+export function ShopProvider({ source, children }) {
+  const {
+    status: productsStatus,
+    products,
+    error: productsError,
+    retry: retryProducts,
+  } = useProducts(source);
+  const [cartItems, dispatch] = useReducer(cartReducer, initialCart);
+
+  // the lines show what the products are now, once they're (re)loaded
+  useEffect(() => {
+    dispatch({ type: "refreshed_products", products });
+  }, [products]);
+
+  /* the value only changes when the products or the cart do, the dispatch
+  based functions are the same on every render */
+  const value = useMemo(
+    () => ({
+      products,
+      productsStatus,
+      productsError,
+      retryProducts,
+      cartItems,
+      itemCount: selectItemCount(cartItems),
+      subtotal: selectSubtotal(cartItems),
+      addToCart: (product, quantity = 1) =>
+        dispatch({ type: "added_to_cart", product, quantity }),
+      removeFromCart: (productId) =>
+        dispatch({ type: "removed_from_cart", productId }),
+      setQuantity: (productId, quantity) =>
+        dispatch({ type: "changed_quantity", productId, quantity }),
+      clearCart: () => dispatch({ type: "cleared_cart" }),
+    }),
+    [products, productsStatus, productsError, retryProducts, cartItems]
+  );
+
+  return <ShopContext.Provider value={value}>{children}</ShopContext.Provider>;
+}
+
+// everything in ShopContext
+export function useShop() {
+  return useContext(ShopContext);
+}
+
+// only the cart part, without the products
+export function useCart() {
+  const {
+    cartItems,
+    itemCount,
+    subtotal,
+    addToCart,
+    removeFromCart,
+    setQuantity,
+    clearCart,
+  } = useContext(ShopContext);
+  return {
+    cartItems,
+    itemCount,
+    subtotal,
+    addToCart,
+    removeFromCart,
+    setQuantity,
+    clearCart,
+  };
+}
+
+/* quantities are whole numbers, a line whose quantity drops to 0 or below is
+removed, and adding a product that's already in the cart adds to its line */
+function cartReducer(cartItems, action) {
+  switch (action.type) {
+    case "added_to_cart": {
+      const { product } = action;
+      const quantity = toQuantity(action.quantity);
+      if (quantity <= 0) {
+        return cartItems;
+      }
+      return mergeLines([
+        ...cartItems,
+        {
+          productId: product.id,
+          title: product.title,
+          price: product.price,
+          image: product.image,
+          quantity,
+        },
+      ]);
+    }
+    case "removed_from_cart": {
+      return cartItems.filter((line) => line.productId !== action.productId);
+    }
+    case "changed_quantity": {
+      const quantity = toQuantity(action.quantity);
+      if (quantity <= 0) {
+        return cartItems.filter((line) => line.productId !== action.productId);
+      }
+      return cartItems.map((line) =>
+        line.productId === action.productId ? { ...line, quantity } : line
+      );
+    }
+    case "refreshed_products": {
+      // lines of products that aren't in the list anymore stay as they were
+      const byId = new Map(action.products.map((p) => [p.id, p]));
+      const refreshed = cartItems.map((line) => {
+        const product = byId.get(line.productId);
+        if (
+          !product ||
+          (product.title === line.title &&
+            product.price === line.price &&
+            product.image === line.image)
+        ) {
+          return line;
+        }
+        const { title, price, image } = product;
+        return { ...line, title, price, image };
+      });
+      // nothing changed, the same array means no re-render
+      return refreshed.every((line, i) => line === cartItems[i])
+        ? cartItems
+        : refreshed;
+    }
+    case "cleared_cart": {
+      return initialCart;
+    }
+    default: {
+      throw Error("Unknown action: " + action.type);
+    }
+  }
+}
+
+// a whole number, "2" and 2.7 are 2, anything that isn't a number is 0
+function toQuantity(value) {
+  const quantity = Math.trunc(Number(value));
+  return Number.isFinite(quantity) ? quantity : 0;
+}
+
+/* lines for the same product become one, where the first one was, with the
+quantities added up, the newest line's title, price, and image win, so the
+cart shows what the product is now */
+function mergeLines(lines) {
+  const byProduct = new Map();
+  for (const line of lines) {
+    const existing = byProduct.get(line.productId);
+    byProduct.set(
+      line.productId,
+      existing ? { ...line, quantity: existing.quantity + line.quantity } : line
+    );
+  }
+  return [...byProduct.values()];
+}
+
+/* the selectors are pure, like selectVisibleTasks, ShopProvider passes their
+results down as itemCount and subtotal */
+
+// how many items are in the cart, 2 of one product and 1 of another are 3
+export function selectItemCount(cartItems) {
+  return cartItems.reduce((count, line) => count + line.quantity, 0);
+}
+
+/* the price of everything in the cart, before shipping and taxes, added up in
+cents, so 0.1 + 0.2 is 0.3, not 0.30000000000000004 */
+export function selectSubtotal(cartItems) {
+  const cents = cartItems.reduce(
+    (total, line) => total + Math.round(line.price * 100) * line.quantity,
+    0
+  );
+  return cents / 100;
+}
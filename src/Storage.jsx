@@ -0,0 +1,105 @@
+/* storage adapters let the same provider save its state to different places
+every adapter has the same async interface, so they can be swapped freely
+- load(key) resolves with the stored value, or null when nothing is stored
+- save(key, value) resolves once the value is stored
+- remove(key) resolves once the value is gone
+values are plain objects and arrays, each adapter decides how to serialize them
+
+the interface is async even for localStorage, because IndexedDB can only be
+used asynchronously */
+
+/* localStorage and sessionStorage share the Web Storage API, so one factory
+covers both, values are stored as JSON strings */
+export function createWebStorageAdapter(getStorage) {
+  return {
+    async load(key) {
+      const json = getStorage().getItem(key);
+      return json === null ? null : JSON.parse(json);
+    },
+    async save(key, value) {
+      getStorage().setItem(key, JSON.stringify(value));
+    },
+    async remove(key) {
+      getStorage().removeItem(key);
+    },
+  };
+}
+
+/* the storage objects are read lazily, accessing window.localStorage can throw
+when storage is disabled, and the error should surface on load or save, not
+when this module is imported */
+// localStorage keeps the data until it is cleared, even after the browser closes
+export const localStorageAdapter = createWebStorageAdapter(
+  () => window.localStorage
+);
+
+// sessionStorage keeps the data until the tab is closed
+export const sessionStorageAdapter = createWebStorageAdapter(
+  () => window.sessionStorage
+);
+
+/* IndexedDB stores structured clones of the values, so there is no JSON step
+all values go into one object store, keyed by the key passed to load and save */
+export function createIndexedDBAdapter(dbName = "more-react-concepts") {
+  const storeName = "keyval";
+  let dbPromise = null;
+
+  // opens the database once, and creates the object store the first time
+  function openDB() {
+    if (dbPromise === null) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // runs one request inside a transaction and resolves with its result
+  async function run(mode, makeRequest) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  return {
+    async load(key) {
+      const value = await run("readonly", (store) => store.get(key));
+      // IndexedDB returns undefined for missing keys, the interface uses null
+      return value === undefined ? null : value;
+    },
+    async save(key, value) {
+      await run("readwrite", (store) => store.put(value, key));
+    },
+    async remove(key) {
+      await run("readwrite", (store) => store.delete(key));
+    },
+  };
+}
+
+/* the in-memory adapter keeps values in a Map, nothing survives a reload
+useful in tests, where each test can start from its own data
+values are copied in and out, like the other adapters, so changing a loaded
+value never changes the stored one */
+export function createMemoryAdapter(initialData = {}) {
+  const data = new Map(Object.entries(initialData));
+  return {
+    async load(key) {
+      return data.has(key) ? structuredClone(data.get(key)) : null;
+    },
+    async save(key, value) {
+      data.set(key, structuredClone(value));
+    },
+    async remove(key) {
+      data.delete(key);
+    },
+  };
+}
@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useRef } from "react";
+import { ulid } from "./Ids";
+
+/* a tab channel sends messages to the other tabs of the same app (same origin)
+- post(message) sends a message, the tab that posts it doesn't get it back
+- subscribe(listener) calls listener(message) for every message from another
+  tab, and returns a function that unsubscribes
+- close() stops sending and receiving
+messages are plain objects and arrays
+
+BroadcastChannel is used when the browser has it, older browsers fall back to
+the storage event, which fires in every other tab when a tab writes to
+localStorage */
+export function createTabChannel(name) {
+  if (typeof BroadcastChannel === "function") {
+    const channel = new BroadcastChannel(name);
+    return {
+      post: (message) => channel.postMessage(message),
+      subscribe(listener) {
+        const handleMessage = (e) => listener(e.data);
+        channel.addEventListener("message", handleMessage);
+        return () => channel.removeEventListener("message", handleMessage);
+      },
+      close: () => channel.close(),
+    };
+  }
+  return createStorageChannel(name);
+}
+
+/* the message is written to localStorage under the channel name, the storage
+event only fires when the value changes, so every write gets a new nonce */
+function createStorageChannel(name) {
+  const listeners = new Set();
+  function handleStorage(e) {
+    if (e.key !== name || e.newValue === null) {
+      return;
+    }
+    const { message } = JSON.parse(e.newValue);
+    listeners.forEach((listener) => listener(message));
+  }
+  window.addEventListener("storage", handleStorage);
+  return {
+    post(message) {
+      window.localStorage.setItem(
+        name,
+        JSON.stringify({ message, nonce: ulid() })
+      );
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close() {
+      window.removeEventListener("storage", handleStorage);
+      listeners.clear();
+    },
+  };
+}
+
+/* useTabChannel opens a tab channel for as long as the component is mounted
+name - the channel name, null keeps the channel closed
+onMessage(message) - called for every message from another tab, the latest
+                     onMessage is always used, so it can read the current state
+returns post(message), which does nothing while the channel is closed, it's
+the same function on every render */
+export function useTabChannel(name, onMessage) {
+  const channelRef = useRef(null);
+  const onMessageRef = useRef(onMessage);
+
+  // the ref is updated after every render, so the listener never goes stale
+  useEffect(() => {
+    onMessageRef.current = onMessage;
+  });
+
+  useEffect(() => {
+    if (name === null) {
+      return;
+    }
+    const channel = createTabChannel(name);
+    channelRef.current = channel;
+    const unsubscribe = channel.subscribe((message) =>
+      onMessageRef.current(message)
+    );
+    return () => {
+      unsubscribe();
+      channel.close();
+      channelRef.current = null;
+    };
+  }, [name]);
+
+  return useCallback((message) => channelRef.current?.post(message), []);
+}
+
+/* a Lamport clock orders events across tabs without trusting their system
+clocks, every tab counts up on each of its own events, and jumps past any
+clock it receives, so an event always has a larger clock than the events it
+could have seen
+
+a stamp is { clock, tabId }, two tabs can have the same clock, the tab id
+breaks the tie, so every tab orders the same two stamps the same way */
+export function createLamportClock(tabId = ulid()) {
+  let clock = 0;
+  return {
+    tabId,
+    // the stamp for a new event in this tab
+    tick() {
+      clock++;
+      return { clock, tabId };
+    },
+    // moves the clock past a stamp from another tab
+    receive(stamp) {
+      clock = Math.max(clock, stamp.clock) + 1;
+    },
+  };
+}
+
+// true when stamp a comes after stamp b
+export function isLaterStamp(a, b) {
+  return a.clock > b.clock || (a.clock === b.clock && a.tabId > b.tabId);
+}
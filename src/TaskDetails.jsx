@@ -0,0 +1,101 @@
+import { useState } from "react";
+import { PRIORITIES } from "./TasksSchema";
+
+/* shows a task's due date, priority, tags, and notes, or the fields to edit them
+TaskDetails doesn't know how the task is updated, it calls onChange with the
+field's name and its new value, and the parent decides what to do with it */
+export default function TaskDetails({ task, isEditing, onChange }) {
+  if (!isEditing) {
+    return (
+      <span className="task-details">
+        {task.dueDate && <small> due {task.dueDate}</small>}
+        {/* normal is the default, only low and high are worth pointing out */}
+        {task.priority !== "normal" && (
+          <small className={"priority-" + task.priority}>
+            {" "}
+            {task.priority} priority
+          </small>
+        )}
+        {task.tags.map((tag) => (
+          <small key={tag} className="tag">
+            {" "}
+            #{tag}
+          </small>
+        ))}
+        {task.notes && <p className="task-notes">{task.notes}</p>}
+      </span>
+    );
+  }
+  return (
+    <span className="task-details">
+      <input
+        type="date"
+        aria-label="Due date"
+        value={task.dueDate ?? ""}
+        // an emptied date input gives "", which is stored as no due date
+        onChange={(e) => onChange("dueDate", e.target.value || null)}
+      />
+      <PrioritySelect
+        value={task.priority}
+        onChange={(priority) => onChange("priority", priority)}
+      />
+      <TagsInput tags={task.tags} onChange={(tags) => onChange("tags", tags)} />
+      <textarea
+        aria-label="Notes"
+        placeholder="Notes"
+        value={task.notes}
+        onChange={(e) => onChange("notes", e.target.value)}
+      />
+    </span>
+  );
+}
+
+export function PrioritySelect({ value, onChange }) {
+  return (
+    <select
+      aria-label="Priority"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {PRIORITIES.map((priority) => (
+        <option key={priority} value={priority}>
+          {priority}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+/* tags are typed as one comma separated string
+the text is kept in local state while typing, because turning "food, " into
+["food"] and back would eat the comma before the next tag is typed
+the tags are only parsed when the input loses focus
+when the tags change from somewhere else (ex. undo, another tab, or the sync
+server), the text is reset to them while rendering, like React's docs adjust
+state when a prop changes, so the next blur doesn't write the old tags back */
+export function TagsInput({ tags, onChange }) {
+  const [text, setText] = useState(tags.join(", "));
+  const [prevTags, setPrevTags] = useState(tags.join(", "));
+  if (tags.join(", ") !== prevTags) {
+    setPrevTags(tags.join(", "));
+    setText(tags.join(", "));
+  }
+  return (
+    <input
+      aria-label="Tags"
+      placeholder="Tags, comma separated"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => onChange(parseTags(text))}
+    />
+  );
+}
+
+// "food, Kyoto,, food" becomes ["food", "Kyoto"]
+export function parseTags(text) {
+  const tags = text
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter((tag) => tag !== "");
+  return [...new Set(tags)];
+}
@@ -0,0 +1,50 @@
+import { useTasksFilter, useTasksFilterDispatch } from "./TasksFilterContext";
+
+const statuses = ["all", "active", "completed"];
+
+const sorts = [
+  { value: "created", label: "Creation order" },
+  { value: "alphabetical", label: "Alphabetical" },
+  { value: "done_last", label: "Done last" },
+];
+
+export default function TaskFilterBar() {
+  // reads the filter and the dispatch function from the filter context
+  const filter = useTasksFilter();
+  const dispatch = useTasksFilterDispatch();
+  return (
+    <div className="task-filter-bar">
+      {/* the selected status is bold, like the selected contact in ContactList */}
+      {statuses.map((status) => (
+        <button
+          key={status}
+          aria-pressed={filter.status === status}
+          onClick={() => dispatch({ type: "changed_status", status: status })}
+        >
+          {filter.status === status ? <b>{status}</b> : status}
+        </button>
+      ))}
+      <input
+        type="search"
+        placeholder="Search tasks"
+        value={filter.query}
+        onChange={(e) =>
+          dispatch({ type: "changed_query", query: e.target.value })
+        }
+      />
+      <select
+        aria-label="Sort tasks"
+        value={filter.sort}
+        onChange={(e) =>
+          dispatch({ type: "changed_sort", sort: e.target.value })
+        }
+      >
+        {sorts.map((sort) => (
+          <option key={sort.value} value={sort.value}>
+            {sort.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
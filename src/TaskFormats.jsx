@@ -0,0 +1,415 @@
+import { createTask, PRIORITIES } from "./TasksSchema";
+
+/* tasks can leave the app and come back in four formats
+json - the tasks array as it is in state, nothing is lost
+csv - one row per task, subtasks point to their parent with parentId, for
+      spreadsheets
+markdown - a "- [ ]" / "- [x]" checklist, subtasks are indented, for pasting
+           into docs, only the text, done, and the nesting survive
+ics - iCalendar VTODO components, for calendar and to-do apps
+
+exportTasks turns a tasks array into text, parseTasks turns text back into
+tasks (made with createTask, so every field is there)
+both are pure, the components decide where the text comes from and goes to */
+export const FORMATS = [
+  {
+    value: "json",
+    label: "JSON",
+    extension: "json",
+    mimeType: "application/json",
+  },
+  { value: "csv", label: "CSV", extension: "csv", mimeType: "text/csv" },
+  {
+    value: "markdown",
+    label: "Markdown checklist",
+    extension: "md",
+    mimeType: "text/markdown",
+  },
+  {
+    value: "ics",
+    label: "iCalendar (VTODO)",
+    extension: "ics",
+    mimeType: "text/calendar",
+  },
+];
+
+export function exportTasks(tasks, format) {
+  switch (format) {
+    case "json": {
+      return JSON.stringify(tasks, null, 2);
+    }
+    case "csv": {
+      return toCsv(tasks);
+    }
+    case "markdown": {
+      return toMarkdown(tasks);
+    }
+    case "ics": {
+      return toIcs(tasks);
+    }
+    default: {
+      throw Error("Unknown format: " + format);
+    }
+  }
+}
+
+// throws with a message the user can read when the text can't be parsed
+export function parseTasks(text, format) {
+  switch (format) {
+    case "json": {
+      return fromJson(text);
+    }
+    case "csv": {
+      return fromCsv(text);
+    }
+    case "markdown": {
+      return fromMarkdown(text);
+    }
+    case "ics": {
+      return fromIcs(text);
+    }
+    default: {
+      throw Error("Unknown format: " + format);
+    }
+  }
+}
+
+/* createTask for imported data, subtasks are normalized too, and fields with
+the wrong type fall back to their defaults instead of breaking the list */
+function normalizeTask(task) {
+  return createTask({
+    id: task.id,
+    text: String(task.text ?? ""),
+    done: task.done === true,
+    dueDate: /^\d{4}-\d{2}-\d{2}$/.test(task.dueDate) ? task.dueDate : null,
+    priority: PRIORITIES.includes(task.priority) ? task.priority : "normal",
+    tags: Array.isArray(task.tags) ? task.tags.map(String) : [],
+    notes: String(task.notes ?? ""),
+    subtasks: Array.isArray(task.subtasks)
+      ? task.subtasks.map(normalizeTask)
+      : [],
+  });
+}
+
+function fromJson(text) {
+  const data = JSON.parse(text);
+  // one list ({ id, name, archived, tasks }) works too, its tasks are imported
+  const tasks = Array.isArray(data) ? data : data?.tasks;
+  if (!Array.isArray(tasks)) {
+    throw Error("The JSON is not an array of tasks");
+  }
+  return tasks.map(normalizeTask);
+}
+
+/* CSV
+every row is one task, a subtask's parentId is the id of the row of its parent,
+which always comes before it
+tags are joined with ";", so a tag can't contain one */
+const CSV_COLUMNS = [
+  "id",
+  "parentId",
+  "text",
+  "done",
+  "dueDate",
+  "priority",
+  "tags",
+  "notes",
+];
+
+function toCsv(tasks) {
+  const rows = [CSV_COLUMNS];
+  function addRows(tasks, parentId) {
+    for (const task of tasks) {
+      rows.push([
+        task.id,
+        parentId,
+        task.text,
+        task.done,
+        task.dueDate ?? "",
+        task.priority,
+        task.tags.join(";"),
+        task.notes,
+      ]);
+      addRows(task.subtasks, task.id);
+    }
+  }
+  addRows(tasks, "");
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n");
+}
+
+/* a field with a comma, a quote, or a line break is wrapped in quotes, and its
+quotes are doubled (RFC 4180) */
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replaceAll('"', '""') + '"' : text;
+}
+
+// splits CSV text into rows of fields, quoted fields can hold line breaks
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      // \r\n ends a row once
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // skips blank lines
+  return rows.filter((r) => r.length > 1 || r[0] !== "");
+}
+
+function fromCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header || !header.includes("text")) {
+    throw Error('The CSV needs a header row with at least a "text" column');
+  }
+  const tasks = [];
+  // every task by its id, so subtasks can find their parent
+  const byId = new Map();
+  for (const row of rows) {
+    const fields = Object.fromEntries(
+      header.map((column, index) => [column, row[index] ?? ""])
+    );
+    const task = normalizeTask({
+      ...fields,
+      // ids from a spreadsheet are strings, numeric ones become numbers again
+      id: fields.id === "" ? undefined : parseId(fields.id),
+      done: fields.done === "true",
+      tags: fields.tags ? fields.tags.split(";") : [],
+    });
+    const parent = byId.get(parseId(fields.parentId));
+    if (fields.parentId && parent) {
+      parent.subtasks.push(task);
+    } else {
+      tasks.push(task);
+    }
+    if (task.id !== undefined) {
+      byId.set(task.id, task);
+    }
+  }
+  return tasks;
+}
+
+function parseId(text) {
+  return /^\d+$/.test(text) ? Number(text) : text;
+}
+
+/* Markdown
+- [x] Philosopher's Path
+- [ ] Visit the temple
+  - [x] Buy a ticket */
+function toMarkdown(tasks, depth = 0) {
+  return tasks
+    .map((task) =>
+      [
+        "  ".repeat(depth) +
+          (task.done ? "- [x] " : "- [ ] ") +
+          // a line break would end the item, so it becomes a space
+          task.text.replace(/\s*\r?\n\s*/g, " "),
+        ...(task.subtasks.length > 0
+          ? [toMarkdown(task.subtasks, depth + 1)]
+          : []),
+      ].join("\n")
+    )
+    .join("\n");
+}
+
+function fromMarkdown(text) {
+  const tasks = [];
+  /* the tasks that can still get subtasks, with their indentation, the
+  innermost one last */
+  const parents = [];
+  for (const line of text.split(/\r?\n/)) {
+    // "-", "*", or "+", then a checkbox, like GitHub task lists
+    const match = line.match(/^(\s*)[-*+] \[([ xX])\] (.*)$/);
+    if (!match) {
+      continue;
+    }
+    // a tab counts as two spaces, the indentation export uses
+    const indent = match[1].replaceAll("\t", "  ").length;
+    const task = normalizeTask({
+      text: match[3].trim(),
+      done: match[2] !== " ",
+    });
+    // closes every parent that's indented as much as this line, or more
+    while (parents.length > 0 && parents[parents.length - 1].indent >= indent) {
+      parents.pop();
+    }
+    if (parents.length > 0) {
+      parents[parents.length - 1].task.subtasks.push(task);
+    } else {
+      tasks.push(task);
+    }
+    parents.push({ task, indent });
+  }
+  if (tasks.length === 0) {
+    throw Error('No "- [ ]" or "- [x]" lines found');
+  }
+  return tasks;
+}
+
+/* iCalendar (RFC 5545)
+each task is a VTODO, UID is the task id, and a subtask points to its parent
+with RELATED-TO
+priority is a number, 1 is the highest, 9 the lowest */
+const ICS_PRIORITIES = { high: 1, normal: 5, low: 9 };
+
+function toIcs(tasks) {
+  // DTSTAMP is required, 20261019T120000Z
+  const stamp =
+    new Date().toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z";
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//more-react-concepts//tasks//EN",
+  ];
+  function addTodos(tasks, parentId) {
+    for (const task of tasks) {
+      lines.push("BEGIN:VTODO");
+      lines.push("UID:" + escapeIcs(String(task.id)));
+      lines.push("DTSTAMP:" + stamp);
+      lines.push("SUMMARY:" + escapeIcs(task.text));
+      lines.push("STATUS:" + (task.done ? "COMPLETED" : "NEEDS-ACTION"));
+      lines.push("PRIORITY:" + ICS_PRIORITIES[task.priority]);
+      if (task.dueDate) {
+        lines.push("DUE;VALUE=DATE:" + task.dueDate.replaceAll("-", ""));
+      }
+      if (task.tags.length > 0) {
+        lines.push("CATEGORIES:" + task.tags.map(escapeIcs).join(","));
+      }
+      if (task.notes) {
+        lines.push("DESCRIPTION:" + escapeIcs(task.notes));
+      }
+      if (parentId !== undefined) {
+        lines.push("RELATED-TO:" + escapeIcs(String(parentId)));
+      }
+      lines.push("END:VTODO");
+      addTodos(task.subtasks, task.id);
+    }
+  }
+  addTodos(tasks, undefined);
+  lines.push("END:VCALENDAR");
+  // lines end with CRLF, and long lines are folded
+  return lines.map(foldIcsLine).join("\r\n");
+}
+
+// backslashes, semicolons, commas, and line breaks are escaped in text values
+function escapeIcs(text) {
+  return text
+    .replaceAll("\\", "\\\\")
+    .replaceAll(";", "\\;")
+    .replaceAll(",", "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeIcs(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+}
+
+/* lines longer than 75 characters continue on the next line, which starts
+with a space */
+function foldIcsLine(line) {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) {
+    parts.push(line.slice(i, i + 74));
+  }
+  return parts.join("\r\n ");
+}
+
+// splits on the commas that are not escaped
+function splitIcsList(value) {
+  return value.split(/(?<!\\),/).map(unescapeIcs);
+}
+
+function fromIcs(text) {
+  // unfolds first, a line that starts with a space or tab continues the last
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const tasks = [];
+  const byId = new Map();
+  let todo = null;
+  for (const line of lines) {
+    if (line === "BEGIN:VTODO") {
+      todo = {};
+      continue;
+    }
+    if (line === "END:VTODO" && todo !== null) {
+      const task = normalizeTask({
+        id: todo.UID === undefined ? undefined : parseId(unescapeIcs(todo.UID)),
+        text: unescapeIcs(todo.SUMMARY ?? ""),
+        done: todo.STATUS === "COMPLETED",
+        // keeps the date part of DUE, 20261020 or 20261020T090000Z
+        dueDate: todo.DUE?.replace(/^(\d{4})(\d{2})(\d{2}).*$/, "$1-$2-$3"),
+        priority: icsPriority(Number(todo.PRIORITY)),
+        tags: todo.CATEGORIES ? splitIcsList(todo.CATEGORIES) : [],
+        notes: unescapeIcs(todo.DESCRIPTION ?? ""),
+      });
+      const parent =
+        todo["RELATED-TO"] !== undefined &&
+        byId.get(parseId(unescapeIcs(todo["RELATED-TO"])));
+      if (parent) {
+        parent.subtasks.push(task);
+      } else {
+        tasks.push(task);
+      }
+      if (task.id !== undefined) {
+        byId.set(task.id, task);
+      }
+      todo = null;
+      continue;
+    }
+    if (todo !== null) {
+      // NAME;PARAM=VALUE:value, the parameters are dropped
+      const colon = line.indexOf(":");
+      if (colon !== -1) {
+        const name = line.slice(0, colon).split(";")[0].toUpperCase();
+        todo[name] = line.slice(colon + 1);
+      }
+    }
+  }
+  if (tasks.length === 0) {
+    throw Error("No VTODO components found");
+  }
+  return tasks;
+}
+
+// 1-4 is high, 5 (or none) is normal, 6-9 is low
+function icsPriority(priority) {
+  if (priority >= 1 && priority <= 4) {
+    return "high";
+  }
+  if (priority >= 6 && priority <= 9) {
+    return "low";
+  }
+  return "normal";
+}
@@ -0,0 +1,39 @@
+import { useTasksHistory } from "./TasksContext";
+
+export default function TaskHistory() {
+  // retrieves the history and the undo, redo, and jumpTo controls from the context
+  const { history, canUndo, canRedo, undo, redo, jumpTo } = useTasksHistory();
+  // every state in order, the present one sits right after the past states
+  const timeline = [...history.past, history.present, ...history.future];
+  const current = history.past.length;
+  // each step is an array of lists, counts the tasks in all of them
+  const countTasks = (lists) =>
+    lists.reduce((count, list) => count + list.tasks.length, 0);
+  return (
+    <>
+      <button disabled={!canUndo} onClick={undo}>
+        Undo
+      </button>
+      <button disabled={!canRedo} onClick={redo}>
+        Redo
+      </button>
+      <ol>
+        {/* one button per recorded state, the index is the step's position in
+        the timeline, and it never changes order, so it works as a key */}
+        {timeline.map((lists, index) => (
+          <li key={index}>
+            {index === current ? (
+              <b>
+                Step #{index} ({countTasks(lists)} tasks)
+              </b>
+            ) : (
+              <button onClick={() => jumpTo(index)}>
+                Go to step #{index} ({countTasks(lists)} tasks)
+              </button>
+            )}
+          </li>
+        ))}
+      </ol>
+    </>
+  );
+}
@@ -0,0 +1,279 @@
+import { useState } from "react";
+import { useTaskLists, useTasks, useTasksDispatch } from "./TasksContext";
+import { flattenTasks } from "./TaskTree";
+import { exportTasks, FORMATS, parseTasks } from "./TaskFormats";
+
+/* what to do with an imported task that's already in the list
+keep_both - adds it next to the existing one
+replace - the imported task takes the place (and the id) of the existing one
+skip - leaves it out */
+const resolutions = [
+  { value: "keep_both", label: "Keep both" },
+  { value: "replace", label: "Replace" },
+  { value: "skip", label: "Skip" },
+];
+
+/* import and export for the active list of TasksProvider, the file is named
+after the list */
+export default function ActiveListImportExport() {
+  const tasks = useTasks();
+  const dispatch = useTasksDispatch();
+  const { activeList } = useTaskLists();
+  return (
+    <TaskImportExport
+      tasks={tasks}
+      name={activeList?.name ?? "tasks"}
+      onImport={(added, replaced) =>
+        dispatch({ type: "imported", added: added, replaced: replaced })
+      }
+    />
+  );
+}
+
+/* tasks - the tasks that are exported, and that imported tasks are checked
+        against
+name - the name of the downloaded file
+onImport(added, replaced) - called once the import is confirmed, added are the
+                            new tasks, replaced the tasks that replace the
+                            existing ones with the same id, the parent turns
+                            them into one "imported" action */
+export function TaskImportExport({ tasks, name, onImport }) {
+  return (
+    <section className="task-import-export">
+      <ExportTasks tasks={tasks} name={name} />
+      <ImportTasks tasks={tasks} onImport={onImport} />
+    </section>
+  );
+}
+
+function ExportTasks({ tasks, name }) {
+  const [format, setFormat] = useState("markdown");
+  // "copied" or "failed" after Copy was clicked, null before
+  const [copyStatus, setCopyStatus] = useState(null);
+  const { extension, mimeType } = FORMATS.find((f) => f.value === format);
+  // the text is derived from the tasks, so it's never out of date
+  const text = exportTasks(tasks, format);
+
+  function handleDownload() {
+    /* a link to an object URL with the download attribute saves the text as a
+    file, the URL is released right after the click */
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${name}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function handleCopy() {
+    /* there's no clipboard on insecure origins (not https or localhost), and
+    writeText rejects when permission is denied or the page isn't focused */
+    const written = navigator.clipboard
+      ? navigator.clipboard.writeText(text)
+      : Promise.reject(Error("The clipboard is not available"));
+    written
+      .then(() => setCopyStatus("copied"))
+      .catch((error) => {
+        console.error("Could not copy the tasks", error);
+        setCopyStatus("failed");
+      });
+  }
+
+  return (
+    <div>
+      <h2>Export</h2>
+      <FormatSelect
+        label="Export format"
+        value={format}
+        onChange={(value) => {
+          setFormat(value);
+          setCopyStatus(null);
+        }}
+      />
+      <button onClick={handleDownload}>Download</button>
+      <button onClick={handleCopy}>
+        {copyStatus === "copied" ? "Copied" : "Copy"}
+      </button>
+      {copyStatus === "failed" && (
+        <p role="alert">Copy failed, select the text below and copy it.</p>
+      )}
+      <textarea aria-label="Exported tasks" readOnly rows={6} value={text} />
+    </div>
+  );
+}
+
+/* import goes in two steps, the text is parsed into a preview first, and
+nothing changes until the preview is confirmed
+every imported task that matches an existing one (same id, or same text when
+the format has no ids, like Markdown) is a conflict, and gets a resolution */
+function ImportTasks({ tasks, onImport }) {
+  const [format, setFormat] = useState("markdown");
+  const [text, setText] = useState("");
+  const [error, setError] = useState(null);
+  // the parsed tasks, null until Preview is clicked
+  const [imported, setImported] = useState(null);
+  // resolutions by the index of the imported task
+  const [resolutionByIndex, setResolutionByIndex] = useState({});
+  /* the conflicts are derived on every render, so they stay right when the
+  list changes while the preview is open */
+  const conflicts = imported?.map((task) => findConflict(tasks, task)) ?? [];
+
+  function handlePreview() {
+    try {
+      setImported(parseTasks(text, format));
+      setResolutionByIndex({});
+      setError(null);
+    } catch (e) {
+      setImported(null);
+      setError(e.message);
+    }
+  }
+
+  function handleFile(file) {
+    // picks the format from the extension, the select can still change it
+    const extension = file.name.split(".").pop().toLowerCase();
+    const match = FORMATS.find((f) => f.extension === extension);
+    if (match) {
+      setFormat(match.value);
+    }
+    file
+      .text()
+      .then(setText)
+      .catch((e) => setError(`could not read ${file.name} (${e.message})`));
+    setImported(null);
+    setError(null);
+  }
+
+  function handleImport() {
+    const added = [];
+    const replaced = [];
+    imported.forEach((task, index) => {
+      const conflict = conflicts[index];
+      const resolution = resolutionByIndex[index] ?? "keep_both";
+      if (!conflict) {
+        added.push(task);
+      } else if (resolution === "keep_both") {
+        added.push(task);
+      } else if (resolution === "replace") {
+        /* only one imported task can replace an existing one, the others that
+        would are added next to it instead of being lost */
+        if (replaced.some((t) => t.id === conflict.id)) {
+          added.push(task);
+        } else {
+          replaced.push({ ...task, id: conflict.id });
+        }
+      }
+    });
+    onImport(added, replaced);
+    setImported(null);
+    setText("");
+  }
+
+  return (
+    <div>
+      <h2>Import</h2>
+      <FormatSelect
+        label="Import format"
+        value={format}
+        onChange={(value) => {
+          setFormat(value);
+          setImported(null);
+        }}
+      />
+      <input
+        type="file"
+        aria-label="Import file"
+        accept={FORMATS.map((f) => "." + f.extension).join(",")}
+        onChange={(e) => {
+          if (e.target.files.length > 0) {
+            handleFile(e.target.files[0]);
+          }
+        }}
+      />
+      <textarea
+        aria-label="Tasks to import"
+        placeholder="Paste tasks here"
+        rows={6}
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setImported(null);
+        }}
+      />
+      <button disabled={text.trim() === ""} onClick={handlePreview}>
+        Preview
+      </button>
+      {error !== null && <p role="alert">Could not import: {error}</p>}
+      {imported !== null && (
+        <>
+          <ul>
+            {imported.map((task, index) => (
+              <li key={index}>
+                {task.done ? "✔ " : ""}
+                {task.text}
+                {task.subtasks.length > 0 &&
+                  ` (${flattenTasks(task.subtasks).length} subtasks)`}
+                {conflicts[index] && (
+                  <>
+                    {" "}
+                    <i>
+                      already in the list as &quot;{conflicts[index].text}&quot;
+                    </i>{" "}
+                    <select
+                      aria-label={"Resolve " + task.text}
+                      value={resolutionByIndex[index] ?? "keep_both"}
+                      onChange={(e) =>
+                        setResolutionByIndex({
+                          ...resolutionByIndex,
+                          [index]: e.target.value,
+                        })
+                      }
+                    >
+                      {resolutions.map((r) => (
+                        <option key={r.value} value={r.value}>
+                          {r.label}
+                        </option>
+                      ))}
+                    </select>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+          <button onClick={handleImport}>Import</button>
+          <button onClick={() => setImported(null)}>Cancel</button>
+        </>
+      )}
+    </div>
+  );
+}
+
+function FormatSelect({ label, value, onChange }) {
+  return (
+    <select
+      aria-label={label}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {FORMATS.map((f) => (
+        <option key={f.value} value={f.value}>
+          {f.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+/* the existing task, at any depth, the imported task clashes with, or
+undefined */
+function findConflict(tasks, task) {
+  const existing = flattenTasks(tasks);
+  if (task.id !== undefined) {
+    const sameId = existing.find((t) => t.id === task.id);
+    if (sameId) {
+      return sameId;
+    }
+  }
+  const text = task.text.trim().toLowerCase();
+  return existing.find((t) => t.text.trim().toLowerCase() === text);
+}
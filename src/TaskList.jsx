@@ -1,27 +1,111 @@
-import { useState } from "react";
-import { useTasks, useTasksDispatch } from "./TasksContext";
+import { useEffect, useRef, useState } from "react";
+import { useTaskLists, useTasks, useTasksDispatch } from "./TasksContext";
+import { useTasksFilter, useVisibleTasks } from "./TasksFilterContext";
+import TaskDetails from "./TaskDetails";
+import Highlight from "./Highlight";
+import { ReorderInstructions, useReorder } from "./Reorder";
+import { doneState } from "./TaskTree";
+import BulkActions, { useSelection } from "./BulkActions";
 
 export default function TaskList() {
-  // retrieves the current list of tasks from the context
-  const tasks = useTasks();
+  /* retrieves the tasks that pass the filter, already sorted, and the search
+  query to highlight */
+  const tasks = useVisibleTasks();
+  const { query, sort } = useTasksFilter();
+  // all tasks, the moved action uses positions in the whole list
+  const allTasks = useTasks();
+  const dispatch = useTasksDispatch();
+  const ids = tasks.map((task) => task.id);
+  /* the moved task takes the target task's place in the whole list, so
+  reordering also works while some tasks are filtered out */
+  const { getItemProps, getHandleProps, announcement, instructionsId } =
+    useReorder(ids, (id, targetId) => {
+      dispatch({
+        type: "moved",
+        id: id,
+        toIndex: allTasks.findIndex((t) => t.id === targetId),
+      });
+    });
+  /* a sorted list shows a different order than the one stored, so tasks can
+  only be reordered in creation order */
+  const canReorder = sort === "created";
+  // which of the visible tasks are selected for the bulk actions
+  const selection = useSelection(ids);
+
+  if (tasks.length === 0) {
+    return <p>No tasks match.</p>;
+  }
   return (
-    <ul>
-      {/* iterates over tasks array, creates a li lement with a key,
-      and renders the Tasks component, passing the task object as a prop */}
-      {tasks.map((task) => (
-        <li key={task.id}>
-          <Task task={task} />
-        </li>
-      ))}
-    </ul>
+    <>
+      <BulkActions ids={ids} selection={selection} />
+      <ul>
+        {/* iterates over tasks array, creates a li lement with a key,
+        and renders the Tasks component, passing the task object as a prop */}
+        {tasks.map((task) => (
+          <li key={task.id} {...(canReorder ? getItemProps(task.id) : {})}>
+            <input
+              type="checkbox"
+              aria-label={"Select " + task.text}
+              checked={selection.isSelected(task.id)}
+              onChange={(e) => {
+                /* a checkbox's change event comes from a click, so the native
+                event says whether shift was held */
+                selection.toggle(task.id, e.nativeEvent.shiftKey);
+              }}
+            />
+            {canReorder && (
+              <button {...getHandleProps(task.id, task.text)}>⠿</button>
+            )}
+            <Task task={task} query={query} />
+          </li>
+        ))}
+      </ul>
+      {canReorder && (
+        <ReorderInstructions
+          instructionsId={instructionsId}
+          announcement={announcement}
+        />
+      )}
+    </>
   );
 }
 
-// task object passed as prop from the parent TaskList
-function Task({ task }) {
+/* each field TaskDetails edits has its own action type, the action carries
+the field under the same name */
+const fieldActionTypes = {
+  dueDate: "changed_due_date",
+  priority: "changed_priority",
+  tags: "changed_tags",
+  notes: "changed_notes",
+};
+
+/* task object passed as prop from the parent TaskList, query is the search text
+to highlight in the task text
+a task with subtasks renders them below itself as a nested, indented list,
+each subtask is a Task too, so the tree can be as deep as the data */
+function Task({ task, query }) {
   const [isEditing, setIsEditing] = useState(false);
+  const [isExpanded, setIsExpanded] = useState(true);
   // retrieves dispatch function to manage state updates
   const dispatch = useTasksDispatch();
+  // "all", "some", or "none" of the task (and its subtasks) is done
+  const state = doneState(task);
+  const checkboxRef = useRef(null);
+
+  /* indeterminate can't be set with an attribute, only on the DOM node, so
+  the checkbox shows "some done" through a ref after every render */
+  useEffect(() => {
+    checkboxRef.current.indeterminate = state === "some";
+  }, [state]);
+
+  function handleDetailChange(field, value) {
+    dispatch({
+      type: fieldActionTypes[field],
+      id: task.id,
+      [field]: value,
+    });
+  }
+
   let taskContent;
   if (isEditing) {
     // renders either an editable input field
@@ -33,60 +117,148 @@ function Task({ task }) {
           onChange={(e) => {
             dispatch({
               /* onChange handler dispatches a changed action to update 
-              the task text as the user types */
+              the task text as the user types, only the text, the subtasks
+              can change in the meantime */
               type: "changed",
               task: {
-                ...task,
+                id: task.id,
                 text: e.target.value,
               },
             });
           }}
         />
         <button onClick={() => setIsEditing(false)}>Save</button>
+        <AddSubtask parentId={task.id} />
       </>
     );
     // or renders plain text with an edit button
   } else {
     taskContent = (
       <>
-        {/* displays task text */}
-        {task.text}
+        {/* displays task text, with the search matches highlighted */}
+        <Highlight text={task.text} query={query} />
         <button onClick={() => setIsEditing(true)}>Edit</button>
       </>
     );
   }
+  const hasSubtasks = task.subtasks.length > 0;
   return (
-    <label>
-      <input
-        type="checkbox"
-        // sets checkbox state based on the task's done property
-        checked={task.done}
-        onChange={(e) => {
-          dispatch({
-            /* dispatches a changed action to update the done property
-            of the task to match the checkbox state */
-            type: "changed",
-            task: {
-              ...task,
+    <>
+      {hasSubtasks && (
+        <button
+          aria-label={(isExpanded ? "Collapse " : "Expand ") + task.text}
+          aria-expanded={isExpanded}
+          onClick={() => setIsExpanded(!isExpanded)}
+        >
+          {isExpanded ? "▾" : "▸"}
+        </button>
+      )}
+      <label>
+        <input
+          type="checkbox"
+          ref={checkboxRef}
+          /* a task with subtasks is checked when all of them are done, and
+          indeterminate (see the effect above) when some are */
+          checked={state === "all"}
+          onChange={(e) => {
+            dispatch({
+              /* dispatches a changed_done action, the task and all of its
+              subtasks get the checkbox state */
+              type: "changed_done",
+              id: task.id,
               done: e.target.checked,
-            },
-          });
-        }}
+            });
+          }}
+        />
+        {/* renders either the task text or editable input field, 
+        depending on isEditing */}
+        {taskContent}
+        {/* due date, priority, tags, and notes, shown or edited the same way */}
+        <TaskDetails
+          task={task}
+          isEditing={isEditing}
+          onChange={handleDetailChange}
+        />
+        <MoveToListSelect task={task} />
+        <button
+          onClick={() => {
+            dispatch({
+              /* dispatches a deleted action with the task's id when clicked,
+              its subtasks are deleted with it */
+              type: "deleted",
+              id: task.id,
+            });
+          }}
+        >
+          Delete
+        </button>
+      </label>
+      {hasSubtasks && isExpanded && (
+        <ul className="subtasks">
+          {task.subtasks.map((subtask) => (
+            <li key={subtask.id}>
+              <Task task={subtask} query={query} />
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
+
+// adds a subtask to the task with parentId, shown while the task is edited
+function AddSubtask({ parentId }) {
+  const [text, setText] = useState("");
+  const dispatch = useTasksDispatch();
+  return (
+    <>
+      <input
+        placeholder="Add subtask"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
       />
-      {/* renders either the task text or editable input field, 
-      depending on isEditing */}
-      {taskContent}
       <button
         onClick={() => {
-          dispatch({
-            // dispatches a deleted action with the task's id when clicked
-            type: "deleted",
-            id: task.id,
-          });
+          setText("");
+          // parentId makes the reducer add the task under its parent
+          dispatch({ type: "added", parentId: parentId, text: text });
         }}
       >
-        Delete
+        Add subtask
       </button>
-    </label>
+    </>
+  );
+}
+
+// moves the task from the active list to the list picked in the select
+function MoveToListSelect({ task }) {
+  const { lists, activeList } = useTaskLists();
+  const dispatch = useTasksDispatch();
+  const otherLists = lists.filter((l) => l !== activeList && !l.archived);
+  if (otherLists.length === 0) {
+    return null;
+  }
+  return (
+    <select
+      aria-label="Move to list"
+      /* the empty option stays selected, picking a list moves the task
+      right away */
+      value=""
+      onChange={(e) => {
+        dispatch({
+          type: "moved_task_to_list",
+          id: task.id,
+          // select values are strings, finds the list to get the id's real type
+          toListId: otherLists[Number(e.target.value)].id,
+        });
+      }}
+    >
+      <option value="">Move to...</option>
+      {otherLists.map((list, index) => (
+        <option key={list.id} value={index}>
+          {list.name}
+        </option>
+      ))}
+    </select>
   );
 }
@@ -1,14 +1,39 @@
 import { useState } from "react";
+import TaskDetails from "./TaskDetails";
+import { ReorderInstructions, useReorder } from "./Reorder";
 
-export default function TaskListOne({ tasks, onChangeTask, onDeleteTask }) {
+export default function TaskListOne({
+  tasks,
+  onChangeTask,
+  onDeleteTask,
+  onMoveTask,
+}) {
+  // onMoveTask gets the moved task's id and the index it moves to
+  const { getItemProps, getHandleProps, announcement, instructionsId } =
+    useReorder(
+      tasks.map((task) => task.id),
+      (id, targetId) => {
+        onMoveTask(
+          id,
+          tasks.findIndex((t) => t.id === targetId)
+        );
+      }
+    );
   return (
-    <ul>
-      {tasks.map((task) => (
-        <li key={task.id}>
-          <Task task={task} onChange={onChangeTask} onDelete={onDeleteTask} />
-        </li>
-      ))}
-    </ul>
+    <>
+      <ul>
+        {tasks.map((task) => (
+          <li key={task.id} {...getItemProps(task.id)}>
+            <button {...getHandleProps(task.id, task.text)}>⠿</button>
+            <Task task={task} onChange={onChangeTask} onDelete={onDeleteTask} />
+          </li>
+        ))}
+      </ul>
+      <ReorderInstructions
+        instructionsId={instructionsId}
+        announcement={announcement}
+      />
+    </>
   );
 }
 
@@ -51,6 +76,16 @@ function Task({ task, onChange, onDelete }) {
         }}
       />
       {taskContent}
+      <TaskDetails
+        task={task}
+        isEditing={isEditing}
+        onChange={(field, value) => {
+          onChange({
+            ...task,
+            [field]: value,
+          });
+        }}
+      />
       <button onClick={() => onDelete(task.id)}>Delete</button>
     </label>
   );
@@ -0,0 +1,145 @@
+import { useState } from "react";
+import { useTaskLists, useTasksDispatch } from "./TasksContext";
+
+export default function TaskListSwitcher() {
+  // retrieves the lists, the active one, and the helpers from the context
+  const { lists, activeList, syncStatus, selectList, createList } =
+    useTaskLists();
+  const dispatch = useTasksDispatch();
+  const [newName, setNewName] = useState("");
+  const openLists = lists.filter((l) => !l.archived);
+  const archivedLists = lists.filter((l) => l.archived);
+  return (
+    <section className="task-list-switcher">
+      <ul>
+        {/* one button per open list, the active one is bold */}
+        {openLists.map((list) => (
+          <li key={list.id}>
+            <button
+              aria-current={list === activeList}
+              onClick={() => selectList(list.id)}
+            >
+              {list === activeList ? <b>{list.name}</b> : list.name}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <input
+        placeholder="New list"
+        value={newName}
+        onChange={(e) => setNewName(e.target.value)}
+      />
+      <button
+        disabled={newName.trim() === ""}
+        onClick={() => {
+          setNewName("");
+          createList(newName.trim());
+        }}
+      >
+        Create list
+      </button>
+      {syncStatus !== null && <SyncStatus status={syncStatus} />}
+      {activeList !== null ? (
+        /* key resets isEditing when another list is selected */
+        <ActiveList key={activeList.id} list={activeList} dispatch={dispatch} />
+      ) : (
+        <p>No open lists, create one to add tasks.</p>
+      )}
+      {archivedLists.length > 0 && (
+        <>
+          <h2>Archived</h2>
+          <ul>
+            {archivedLists.map((list) => (
+              <li key={list.id}>
+                {list.name}
+                <button
+                  onClick={() =>
+                    dispatch({ type: "restored_list", listId: list.id })
+                  }
+                >
+                  Restore
+                </button>
+                <DeleteListButton list={list} dispatch={dispatch} />
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </section>
+  );
+}
+
+// the active list's name as a heading, with rename, archive, and delete
+function ActiveList({ list, dispatch }) {
+  const [isEditing, setIsEditing] = useState(false);
+  let nameContent;
+  if (isEditing) {
+    nameContent = (
+      <>
+        <input
+          aria-label="List name"
+          value={list.name}
+          onChange={(e) => {
+            dispatch({
+              type: "renamed_list",
+              listId: list.id,
+              name: e.target.value,
+            });
+          }}
+        />
+        <button onClick={() => setIsEditing(false)}>Save</button>
+      </>
+    );
+  } else {
+    nameContent = (
+      <>
+        <h1>{list.name}</h1>
+        <button onClick={() => setIsEditing(true)}>Rename</button>
+      </>
+    );
+  }
+  return (
+    <div>
+      {nameContent}
+      <button
+        onClick={() => dispatch({ type: "archived_list", listId: list.id })}
+      >
+        Archive
+      </button>
+      <DeleteListButton list={list} dispatch={dispatch} />
+    </div>
+  );
+}
+
+// what the sync with the server is doing, and how many changes are waiting
+function SyncStatus({ status }) {
+  const text = {
+    syncing: "Syncing...",
+    synced: "All changes synced",
+    offline: "Offline, changes are saved on this device",
+    error: "Could not sync, retrying later",
+  }[status.state];
+  return (
+    <p role="status">
+      {text}
+      {status.pending > 0 && ` (${status.pending} waiting)`}
+    </p>
+  );
+}
+
+function DeleteListButton({ list, dispatch }) {
+  return (
+    <button
+      onClick={() => {
+        // deleting a list also deletes its tasks, so it asks first
+        if (
+          confirm(`Delete "${list.name}" and its ${list.tasks.length} tasks?`)
+        ) {
+          dispatch({ type: "deleted_list", listId: list.id });
+        }
+      }}
+    >
+      Delete
+    </button>
+  );
+}
@@ -0,0 +1,411 @@
+import { useEffect, useRef, useState } from "react";
+
+/* offline-first sync of the tasks with a REST backend
+the tasks are always changed locally first, the sync engine notices what
+changed, keeps a queue of the changes, and pushes them when the browser is
+online, then it pulls what other clients changed
+
+the unit of sync is a top-level task, with its subtasks inside it, a change to
+a subtask is a change of its top-level task
+the order of the tasks and the lists themselves stay local
+
+every task on the server has a version number, a push sends the version it's
+based on, and the server only accepts it if that's still the latest one, when
+it's not (409 Conflict), another client got there first, and the server's copy
+wins, it replaces the local task */
+
+/* the REST API the engine talks to, endpoint is the base URL
+GET    /tasks?since=cursor  -> { changes: [record], cursor }
+PUT    /tasks/:id           { id, listId, task, baseVersion } -> record
+DELETE /tasks/:id?baseVersion=n -> record
+a record is { id, listId, version, task, deleted }, PUT and DELETE answer 409
+with the server's record when baseVersion is not the latest
+every call takes an AbortSignal last, aborting it cancels the request
+mock-tasks-server.js implements it, so no real backend is needed */
+export function createRestTasksApi(
+  endpoint,
+  fetchImpl = (...args) => fetch(...args)
+) {
+  async function request(method, path, body, signal) {
+    const response = await fetchImpl(endpoint + path, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+      signal,
+    });
+    if (response.status === 409) {
+      return { conflict: true, record: await response.json() };
+    }
+    // deleting a task the server never had is fine, it's gone either way
+    if (response.status === 404 && method === "DELETE") {
+      return { conflict: false, record: null };
+    }
+    if (!response.ok) {
+      throw Error(`${method} ${path} failed with ${response.status}`);
+    }
+    return { conflict: false, record: await response.json() };
+  }
+
+  return {
+    async pull(since, signal) {
+      const { record } = await request(
+        "GET",
+        "/tasks?since=" + since,
+        undefined,
+        signal
+      );
+      return record;
+    },
+    put: (id, listId, task, baseVersion, signal) =>
+      request(
+        "PUT",
+        "/tasks/" + encodeURIComponent(id),
+        { id, listId, task, baseVersion },
+        signal
+      ),
+    delete: (id, baseVersion, signal) =>
+      request(
+        "DELETE",
+        `/tasks/${encodeURIComponent(id)}?baseVersion=${baseVersion}`,
+        undefined,
+        signal
+      ),
+  };
+}
+
+// the top-level tasks by id, each with the id of its list
+function rootTasks(lists) {
+  const tasks = new Map();
+  for (const list of lists) {
+    for (const task of list.tasks) {
+      tasks.set(task.id, { listId: list.id, task });
+    }
+  }
+  return tasks;
+}
+
+/* the changes between two states of the lists, as added, changed, and deleted
+ops, every change makes new objects on the way to it, so a task that's the same
+object as before didn't change */
+export function diffTasks(prevLists, nextLists) {
+  const prev = rootTasks(prevLists);
+  const next = rootTasks(nextLists);
+  const ops = [];
+  for (const [id, { listId, task }] of next) {
+    const before = prev.get(id);
+    if (!before) {
+      ops.push({ type: "added", id, task });
+    } else if (before.task !== task || before.listId !== listId) {
+      ops.push({ type: "changed", id, task });
+    }
+  }
+  for (const id of prev.keys()) {
+    if (!next.has(id)) {
+      ops.push({ type: "deleted", id, task: null });
+    }
+  }
+  return ops;
+}
+
+/* adds an op to the queue, the queue holds one op per task, since a push
+always sends the task as it is at that moment
+- added, then deleted - the server never saw it, both are dropped
+- added, then changed - still added
+- deleted, then added (ex. undo) - changed, the server still has it */
+function enqueue(queue, op) {
+  const existing = queue.find((o) => o.id === op.id);
+  if (!existing) {
+    return [...queue, { type: op.type, id: op.id }];
+  }
+  if (existing.type === "added" && op.type === "deleted") {
+    return queue.filter((o) => o !== existing);
+  }
+  const type =
+    existing.type === "added"
+      ? "added"
+      : op.type === "added"
+      ? "changed"
+      : op.type;
+  return queue.map((o) => (o === existing ? { type, id: op.id } : o));
+}
+
+/* createTaskSync makes the engine
+api - see createRestTasksApi
+storage, storageKey - where the queue, the versions, and the pull cursor are
+                      saved, so changes made offline survive a reload
+getLists() - the current lists, read when a change is pushed
+onPulled(records) - applies records from the server to the lists
+onStatus(status) - { state, pending }, state is "syncing", "synced",
+                   "offline", or "error", pending is the length of the queue */
+export function createTaskSync({
+  api,
+  storage,
+  storageKey,
+  getLists,
+  onPulled,
+  onStatus,
+  pollInterval = 30000,
+}) {
+  let queue = [];
+  // the server version of every task this client has seen
+  let versions = {};
+  let cursor = 0;
+  /* the tasks that came from the server, by id, so the change they make to
+  the lists isn't pushed back, null for deleted ones */
+  const fromServer = new Map();
+  let running = null;
+  let again = false;
+  let timeoutId = null;
+  let intervalId = null;
+  /* after stop(), a sync that's still running ends at its next step, without
+  touching the lists, the storage, or the status, and its requests are
+  aborted, the owner may already be gone, or a new engine has taken over */
+  let stopped = false;
+  const controller = new AbortController();
+
+  const ready = storage
+    .load(storageKey)
+    .then((stored) => {
+      if (stored !== null) {
+        // changes recorded while loading go after the saved ones
+        queue = queue.reduce(enqueue, stored.queue);
+        versions = stored.versions;
+        cursor = stored.cursor;
+      }
+    })
+    .catch((error) => console.error("Could not load the sync queue", error))
+    .then(queueUnsynced);
+
+  /* record only sees changes, the tasks that were there before the engine
+  started, ex. made before sync was turned on, and that the server never
+  gave a version, are queued as added, so they reach the server too */
+  function queueUnsynced() {
+    const ops = [...rootTasks(getLists()).keys()]
+      .filter(
+        (id) => versions[id] === undefined && !queue.some((o) => o.id === id)
+      )
+      .map((id) => ({ type: "added", id }));
+    if (ops.length > 0) {
+      queue = ops.reduce(enqueue, queue);
+      save();
+    }
+  }
+
+  function save() {
+    if (stopped) {
+      return;
+    }
+    storage.save(storageKey, { queue, versions, cursor }).catch((error) => {
+      console.error("Could not save the sync queue", error);
+    });
+  }
+
+  function setStatus(state) {
+    if (stopped) {
+      return;
+    }
+    onStatus({ state, pending: queue.length });
+  }
+
+  function applyRecords(records) {
+    for (const record of records) {
+      versions = { ...versions, [record.id]: record.version };
+      fromServer.set(record.id, record.deleted ? null : record.task);
+    }
+    onPulled(records);
+  }
+
+  async function push() {
+    // one op at a time, in order, a failed request leaves the rest queued
+    while (!stopped && queue.length > 0) {
+      const op = queue[0];
+      const baseVersion = versions[op.id] ?? 0;
+      const current = rootTasks(getLists()).get(op.id);
+      let result;
+      if (op.type === "deleted") {
+        result = await api.delete(op.id, baseVersion, controller.signal);
+      } else if (current) {
+        result = await api.put(
+          op.id,
+          current.listId,
+          current.task,
+          baseVersion,
+          controller.signal
+        );
+      } else {
+        result = { conflict: false, record: null };
+      }
+      // the op stays saved in the queue, the next engine pushes it again
+      if (stopped) {
+        return;
+      }
+      queue = queue.filter((o) => o !== op);
+      if (result.conflict) {
+        applyRecords([result.record]);
+      } else if (result.record) {
+        versions = { ...versions, [op.id]: result.record.version };
+      }
+      save();
+    }
+  }
+
+  async function pull() {
+    const response = await api.pull(cursor, controller.signal);
+    if (stopped) {
+      return;
+    }
+    /* skips what this client already has, and tasks with a change waiting in
+    the queue, pushing that change settles which version wins */
+    const records = response.changes.filter(
+      (r) =>
+        r.version > (versions[r.id] ?? 0) && !queue.some((o) => o.id === r.id)
+    );
+    if (records.length > 0) {
+      applyRecords(records);
+    }
+    cursor = response.cursor;
+    save();
+  }
+
+  /* pushes, then pulls, calls while a sync is running make it run once more
+  at the end, instead of running side by side */
+  function sync() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = (async () => {
+      await ready;
+      do {
+        again = false;
+        if (stopped) {
+          return;
+        }
+        if (!navigator.onLine) {
+          setStatus("offline");
+          return;
+        }
+        setStatus("syncing");
+        try {
+          await push();
+          await pull();
+          setStatus("synced");
+        } catch (error) {
+          // an aborted request after stop() is no error
+          if (stopped) {
+            return;
+          }
+          // a network error, the queue is kept, the next sync retries it
+          console.error("Could not sync tasks", error);
+          setStatus("error");
+          return;
+        }
+      } while (again);
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  function handleOffline() {
+    setStatus("offline");
+  }
+
+  return {
+    /* queues what changed from prevLists to nextLists, and syncs a moment
+    later, so typing in a task sends one request, not one per key */
+    record(prevLists, nextLists) {
+      const ops = diffTasks(prevLists, nextLists).filter((op) => {
+        if (fromServer.has(op.id) && fromServer.get(op.id) === op.task) {
+          fromServer.delete(op.id);
+          return false;
+        }
+        return true;
+      });
+      if (ops.length === 0) {
+        return;
+      }
+      queue = ops.reduce(enqueue, queue);
+      ready.then(save);
+      setStatus(navigator.onLine ? "syncing" : "offline");
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(sync, 500);
+    },
+    sync,
+    start() {
+      window.addEventListener("online", sync);
+      window.addEventListener("offline", handleOffline);
+      intervalId = setInterval(sync, pollInterval);
+      sync();
+    },
+    stop() {
+      stopped = true;
+      controller.abort();
+      window.removeEventListener("online", sync);
+      window.removeEventListener("offline", handleOffline);
+      clearInterval(intervalId);
+      clearTimeout(timeoutId);
+    },
+  };
+}
+
+/* useTaskSync runs the sync engine for TasksProvider while it's mounted
+endpoint - the REST base URL, null turns sync off
+lists - the current lists, every change to them is recorded
+isHydrated - the saved lists are loaded, changes are only recorded after that,
+             so loading them isn't pushed as a change
+onPulled(records) - applies records from the server
+returns the sync status, null when sync is off */
+export function useTaskSync({
+  endpoint,
+  storage,
+  storageKey,
+  lists,
+  isHydrated,
+  onPulled,
+}) {
+  const [status, setStatus] = useState(null);
+  const engineRef = useRef(null);
+  const listsRef = useRef(lists);
+  const prevListsRef = useRef(null);
+  const onPulledRef = useRef(onPulled);
+
+  useEffect(() => {
+    listsRef.current = lists;
+    onPulledRef.current = onPulled;
+  });
+
+  useEffect(() => {
+    if (endpoint === null || !isHydrated) {
+      return;
+    }
+    const engine = createTaskSync({
+      api: createRestTasksApi(endpoint),
+      storage,
+      storageKey: storageKey + ":sync",
+      getLists: () => listsRef.current,
+      onPulled: (records) => onPulledRef.current(records),
+      onStatus: setStatus,
+    });
+    engineRef.current = engine;
+    engine.start();
+    return () => {
+      engine.stop();
+      engineRef.current = null;
+      setStatus(null);
+    };
+  }, [endpoint, isHydrated, storage, storageKey]);
+
+  useEffect(() => {
+    if (!isHydrated) {
+      return;
+    }
+    // the first lists after loading are where the recorded changes start
+    if (prevListsRef.current !== null) {
+      engineRef.current?.record(prevListsRef.current, lists);
+    }
+    prevListsRef.current = lists;
+  }, [lists, isHydrated]);
+
+  return status;
+}
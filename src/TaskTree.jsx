@@ -0,0 +1,124 @@
+/* tasks can hold subtasks to any depth, every task has a subtasks array, and
+every subtask is a task of its own
+these helpers walk the whole tree and always return new arrays, the tree that
+was passed in is never mutated */
+
+// every task in the tree as one flat array, parents before their subtasks
+export function flattenTasks(tasks) {
+  return tasks.flatMap((t) => [t, ...flattenTasks(t.subtasks)]);
+}
+
+/* replaces the task with the id, wherever it is, with update(task)
+the arrays on the way to it are copied, every other branch is reused, and
+when there's no task with the id, the same array comes back */
+export function updateTaskInTree(tasks, id, update) {
+  const next = tasks.map((t) => {
+    if (t.id === id) {
+      return update(t);
+    } else if (t.subtasks.length > 0) {
+      const subtasks = updateTaskInTree(t.subtasks, id, update);
+      return subtasks === t.subtasks ? t : { ...t, subtasks };
+    } else {
+      return t;
+    }
+  });
+  return next.every((t, index) => t === tasks[index]) ? tasks : next;
+}
+
+// removes the task with the id, and its subtasks with it
+export function removeTaskFromTree(tasks, id) {
+  if (tasks.some((t) => t.id === id)) {
+    return tasks.filter((t) => t.id !== id);
+  }
+  return mapSubtasks(tasks, (subtasks) => removeTaskFromTree(subtasks, id));
+}
+
+/* calls update(siblings) on the array that holds the task with the id, ex. to
+move it among its siblings */
+export function updateSiblingsInTree(tasks, id, update) {
+  if (tasks.some((t) => t.id === id)) {
+    return update(tasks);
+  }
+  return mapSubtasks(tasks, (subtasks) =>
+    updateSiblingsInTree(subtasks, id, update)
+  );
+}
+
+/* calls update(subtasks) on the subtasks of every task, a task is only copied
+when its subtasks changed, and the same array comes back when none did, so
+code that compares tasks by reference (ex. the sync in TaskSync.jsx) only sees
+the tasks that really changed */
+function mapSubtasks(tasks, update) {
+  const next = tasks.map((t) => {
+    if (t.subtasks.length === 0) {
+      return t;
+    }
+    const subtasks = update(t.subtasks);
+    return subtasks === t.subtasks ? t : { ...t, subtasks };
+  });
+  return next.every((t, index) => t === tasks[index]) ? tasks : next;
+}
+
+/* applies an import (see TaskImportExport.jsx), one action for the whole
+import, so one undo takes it back
+replaced are tasks that take the place of the task with their id, at any
+depth, added are appended, both get new ids from makeId() for their subtasks
+(and added tasks for themselves), imported ids can clash with any task
+two tasks can't replace the same one, one of them would be lost */
+export function importTasks(tasks, { replaced, added }, makeId) {
+  if (new Set(replaced.map((t) => t.id)).size !== replaced.length) {
+    throw Error("Two imported tasks replace the same task");
+  }
+  let next = tasks;
+  for (const task of replaced) {
+    next = updateTaskInTree(next, task.id, () => ({
+      ...task,
+      subtasks: task.subtasks.map((t) => copyTask(t, makeId)),
+    }));
+  }
+  return [...next, ...added.map((t) => copyTask(t, makeId))];
+}
+
+/* a deep copy of the task, where the copy and every subtask in it get a new id
+from makeId() */
+export function copyTask(task, makeId) {
+  return {
+    ...task,
+    id: makeId(),
+    subtasks: task.subtasks.map((t) => copyTask(t, makeId)),
+  };
+}
+
+/* a parent is done when all of its subtasks are done, syncDone recalculates
+that from the leaves up, after any change to the tree
+tasks that are already right are reused, so only the changed ones are new */
+export function syncDone(tasks) {
+  const next = tasks.map((t) => {
+    if (t.subtasks.length === 0) {
+      return t;
+    }
+    const subtasks = syncDone(t.subtasks);
+    const done = subtasks.every((s) => s.done);
+    return subtasks === t.subtasks && done === t.done
+      ? t
+      : { ...t, done, subtasks };
+  });
+  return next.every((t, index) => t === tasks[index]) ? tasks : next;
+}
+
+/* how much of a task is done, "all", "some", or "none"
+a leaf is all or nothing, a parent is "some" as soon as its subtasks differ,
+the checkbox shows "some" as indeterminate */
+export function doneState(task) {
+  if (task.subtasks.length === 0) {
+    return task.done ? "all" : "none";
+  }
+  const states = task.subtasks.map(doneState);
+  if (states.every((state) => state === "all")) {
+    return "all";
+  }
+  if (states.every((state) => state === "none")) {
+    return "none";
+  }
+  return "some";
+}
@@ -1,19 +1,309 @@
-import { createContext, useContext, useReducer } from "react";
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { historyControls, initialHistory, withHistory } from "./History";
+import { createIdGenerator } from "./Ids";
+import { moveItem } from "./Reorder";
+import {
+  copyTask,
+  flattenTasks,
+  importTasks,
+  removeTaskFromTree,
+  syncDone,
+  updateSiblingsInTree,
+  updateTaskInTree,
+} from "./TaskTree";
+import { localStorageAdapter } from "./Storage";
+import { createLamportClock, isLaterStamp, useTabChannel } from "./TabSync";
+import { useTaskSync } from "./TaskSync";
+import {
+  createTask,
+  createTaskList,
+  deserializeTaskLists,
+  serializeTaskLists,
+} from "./TasksSchema";
 
 // two separate contexts
 const TasksContext = createContext(null);
 const TasksDispatchContext = createContext(null);
+// third context for the undo, redo, and jump controls
+const TasksHistoryContext = createContext(null);
+// fourth context for the named lists and the active one
+const TaskListsContext = createContext(null);
 
 /* context provider for managing and sharing tasks state and 
-dispatch function throughout the app */
-export function TasksProvider({ children }) {
-  /* tasksReducer argument is function defining how the tasks state
+dispatch function throughout the app 
+
+the provider holds many named lists of tasks, one of them is active
+useTasks reads the active list's tasks, and task actions without a listId go
+to the active list, so components that work on one list don't need to know
+about the others
+
+storage is the adapter the tasks are loaded from and saved to (see Storage.jsx),
+storageKey is the key they are saved under
+syncTabs keeps the tabs that use the same storageKey in sync, every change is
+sent to the other tabs, which replay it through the same reducers
+syncEndpoint is the base URL of a REST backend the tasks are synced with (see
+TaskSync.jsx), null keeps them local */
+export function TasksProvider({
+  children,
+  storage = localStorageAdapter,
+  storageKey = "tasks",
+  syncTabs = true,
+  syncEndpoint = null,
+}) {
+  /* taskListsReducer argument is function defining how the lists state
   is updated based on dispatched actions 
-  initialTasks is the initial state of the tasks 
-  tasks - current state managed by tasksReducer 
-  dispatch - function to send actions to the taskReducer, triggering
-  state updates */
-  const [tasks, dispatch] = useReducer(tasksReducer, initialTasks);
+  initialLists is the initial state of the lists 
+  lists - current state managed by taskListsReducer 
+  listsDispatch - function to send actions to the taskListsReducer, triggering
+  state updates 
+  historyTaskListsReducer records every state, and initialHistory turns 
+  initialLists into the first history state
+
+  historyRef always holds the latest history, like stateRef in useReducer in
+  MyReact.jsx, listsDispatch runs the reducer itself, so two actions in a row,
+  before React re-renders, each start from the history the one before left,
+  and commit can read the ids and the order the next action is based on */
+  const [history, setHistory] = useState(() => initialHistory(initialLists));
+  const historyRef = useRef(history);
+  const listsDispatch = useCallback((action) => {
+    const nextHistory = historyTaskListsReducer(historyRef.current, action);
+    historyRef.current = nextHistory;
+    setHistory(nextHistory);
+  }, []);
+  // components only see the present lists
+  const lists = history.present;
+  /* which list is shown isn't part of the lists state, so switching lists is
+  not an undo step */
+  const [activeListId, setActiveListId] = useState(initialLists[0].id);
+  const activeList = selectActiveList(lists, activeListId);
+  const tasks = activeList ? activeList.tasks : noTasks;
+
+  /* isHydrated is false until the saved lists are loaded, so the initialLists
+  never overwrite what's in storage */
+  const [isHydrated, setIsHydrated] = useState(false);
+  /* why the saved lists couldn't be loaded, null when they could, the lists
+  are never saved then, so a bad read doesn't overwrite them with initialLists
+  loads goes up to load them again */
+  const [loadError, setLoadError] = useState(null);
+  const [loads, setLoads] = useState(0);
+
+  /* the clock stamps every change, so all tabs order two changes the same way
+  (see createLamportClock in TabSync.jsx) */
+  const [clock] = useState(() => createLamportClock());
+  /* the stamp of the latest edit of every task and list, by conflictKey, and
+  of any edit at all, under "lists" */
+  const editStampsRef = useRef(new Map());
+  /* the channel opens once the saved lists are loaded, a change from another
+  tab before that would be overwritten by the load */
+  const postToTabs = useTabChannel(
+    syncTabs && isHydrated ? "tasks-sync:" + storageKey : null,
+    handleTabMessage
+  );
+
+  /* commit and dispatch read the history from historyRef, and the active
+  list's id from here, so they can be the same functions on every render, and
+  the components that only dispatch don't re-render when the tasks change
+  the ref is updated after every render, like onMessageRef in useTabChannel */
+  const activeListIdRef = useRef(activeListId);
+  useEffect(() => {
+    activeListIdRef.current = activeListId;
+  });
+
+  /* every change from this tab goes through commit, which applies it and
+  sends it to the other tabs */
+  const commit = useCallback(
+    (action) => {
+      const history = historyRef.current;
+      const stamp = clock.tick();
+      if (historyActionTypes.includes(action.type)) {
+        /* undo, redo, and jump move through this tab's own history, the other
+        tabs can't replay them, so they get the lists this tab lands on */
+        listsDispatch(action);
+        const { present } = historyRef.current;
+        if (present !== history.present) {
+          const synced = { type: "synced", lists: present };
+          recordEdit(editStampsRef.current, synced, stamp);
+          postToTabs({ action: synced, stamp });
+        }
+        return;
+      }
+      const syncedAction = withDoneIds(
+        withOrder(withNewIds(action, history.present), history.present),
+        history.present
+      );
+      recordEdit(editStampsRef.current, syncedAction, stamp);
+      listsDispatch(syncedAction);
+      postToTabs({ action: syncedAction, stamp });
+    },
+    [clock, postToTabs, listsDispatch]
+  );
+
+  /* a change from another tab is replayed here, without the edits this tab
+  already has a later edit of (see withoutLostEdits), that edit reaches the
+  other tab too, where it wins over this one, so both tabs end up with the
+  later edit
+  synced lists lose to any later edit, and since they replace everything, the
+  other tabs get this tab's lists instead, with a new stamp, so every tab ends
+  up with the same lists */
+  function handleTabMessage({ action: message, stamp }) {
+    clock.receive(stamp);
+    const action = withoutLostEdits(message, editStampsRef.current, stamp);
+    if (action === null) {
+      if (message.type === "synced") {
+        const synced = {
+          type: "synced",
+          lists: historyRef.current.present,
+        };
+        const newStamp = clock.tick();
+        recordEdit(editStampsRef.current, synced, newStamp);
+        postToTabs({ action: synced, stamp: newStamp });
+      }
+      return;
+    }
+    recordEdit(editStampsRef.current, action, stamp);
+    listsDispatch(action);
+  }
+
+  /* changes from the server are applied locally, they're not sent to the
+  other tabs, every tab syncs with the server on its own */
+  const syncStatus = useTaskSync({
+    endpoint: syncEndpoint,
+    storage,
+    storageKey,
+    lists,
+    isHydrated,
+    onPulled: (records) => listsDispatch({ type: "pulled", records: records }),
+  });
+
+  /* actions that don't name a list go to the active one, so AddTask and
+  TaskList keep dispatching the same actions they always did */
+  const dispatch = useCallback(
+    (action) => {
+      const activeList = selectActiveList(
+        historyRef.current.present,
+        activeListIdRef.current
+      );
+      commit({ ...action, listId: action.listId ?? activeList?.id });
+    },
+    [commit]
+  );
+
+  /* the context values only change when what's in them does, so a component
+  only re-renders for the context it reads */
+  const controls = useMemo(
+    () => historyControls(history, dispatch),
+    [history, dispatch]
+  );
+  /* the id is made here instead of in the reducer, so the new list can be
+  selected right away */
+  const createList = useCallback(
+    (name) => {
+      const id = listIds.next(historyRef.current.present);
+      commit({ type: "created_list", id: id, name: name });
+      setActiveListId(id);
+    },
+    [commit]
+  );
+  const listsValue = useMemo(
+    () => ({
+      lists,
+      activeList,
+      syncStatus,
+      selectList: setActiveListId,
+      createList,
+    }),
+    [lists, activeList, syncStatus, createList]
+  );
+
+  // loads the saved tasks once on mount, and again if the storage changes
+  useEffect(() => {
+    /* ignore flag makes sure a load that finishes after the effect was cleaned
+    up (ex. unmount, or StrictMode running effects twice) doesn't set state */
+    let ignore = false;
+    setIsHydrated(false);
+    setLoadError(null);
+    storage
+      .load(storageKey)
+      .then((stored) => {
+        if (!ignore && stored !== null) {
+          // reset replaces the history, so undo can't bring back initialLists
+          listsDispatch({
+            type: "reset",
+            present: deserializeTaskLists(stored),
+          });
+        }
+        if (!ignore) {
+          setIsHydrated(true);
+        }
+      })
+      .catch((error) => {
+        /* unreadable data (ex. broken JSON, or a newer schema version) stays
+        as it is, isHydrated stays false, so nothing is saved over it */
+        console.error("Could not load tasks", error);
+        if (!ignore) {
+          setLoadError(error);
+        }
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [storage, storageKey, loads, listsDispatch]);
+
+  // saves the lists whenever they change, once the saved ones are loaded
+  useEffect(() => {
+    if (!isHydrated) {
+      return;
+    }
+    storage.save(storageKey, serializeTaskLists(lists)).catch((error) => {
+      console.error("Could not save tasks", error);
+    });
+  }, [storage, storageKey, lists, isHydrated]);
+
+  /* the way out when the saved tasks can't be loaded at all, they're removed,
+  and the lists start over from initialLists
+  what the storage can still read (ex. lists from a newer schema version) is
+  kept under storageKey + ":discarded" first, so it isn't lost for good */
+  function handleDiscard() {
+    if (!confirm("Discard the saved tasks and start over?")) {
+      return;
+    }
+    storage
+      .load(storageKey)
+      .then((stored) => storage.save(storageKey + ":discarded", stored))
+      .catch((error) => {
+        console.error("Could not keep a copy of the saved tasks", error);
+      })
+      .then(() => storage.remove(storageKey))
+      .then(() => setLoads((l) => l + 1))
+      .catch((error) => setLoadError(error));
+  }
+
+  if (loadError) {
+    return (
+      <p role="alert">
+        Could not load the saved tasks ({loadError.message}).{" "}
+        <button type="button" onClick={() => setLoads((l) => l + 1)}>
+          Try again
+        </button>{" "}
+        <button type="button" onClick={handleDiscard}>
+          Discard saved tasks and start fresh
+        </button>
+      </p>
+    );
+  }
+
+  // children are rendered once the saved tasks are in, so no edit gets lost
+  if (!isHydrated) {
+    return <p>Loading tasks...</p>;
+  }
 
   return (
     // shares tasks state with any component that subscribes to TasksContext
@@ -22,9 +312,13 @@ export function TasksProvider({ children }) {
       TasksDispatchContext, allows components to update the tasks state 
       by dispatching actions */}
       <TasksDispatchContext.Provider value={dispatch}>
-        {/* children within TasksProvider have access to tasks state and 
-        dispatch function */}
-        {children}
+        <TasksHistoryContext.Provider value={controls}>
+          <TaskListsContext.Provider value={listsValue}>
+            {/* children within TasksProvider have access to tasks state and 
+            dispatch function */}
+            {children}
+          </TaskListsContext.Provider>
+        </TasksHistoryContext.Provider>
       </TasksDispatchContext.Provider>
     </TasksContext.Provider>
   );
@@ -40,13 +334,132 @@ export function useTasksDispatch() {
   return useContext(TasksDispatchContext);
 }
 
+export function useTasksHistory() {
+  return useContext(TasksHistoryContext);
+}
+
+/* returns the lists, the active list, the sync status (see useTaskSync), and
+selectList(id) and createList(name)
+the other list changes are dispatched like any other action (see
+taskListsReducer) */
+export function useTaskLists() {
+  return useContext(TaskListsContext);
+}
+
+/* reducer for the lists, each list is { id, name, archived, tasks } (see
+createTaskList in TasksSchema.jsx)
+list actions change the lists themselves, every other action is a task action
+that tasksReducer applies to the tasks of the list with action.listId */
+function taskListsReducer(lists, action) {
+  switch (action.type) {
+    case "created_list": {
+      // the id comes with the action, see withNewIds
+      requireId(action);
+      return [...lists, createTaskList({ id: action.id, name: action.name })];
+    }
+    case "renamed_list": {
+      return updateList(lists, action.listId, { name: action.name });
+    }
+    case "archived_list": {
+      return updateList(lists, action.listId, { archived: true });
+    }
+    case "restored_list": {
+      return updateList(lists, action.listId, { archived: false });
+    }
+    case "deleted_list": {
+      // the list's tasks are deleted with it
+      return lists.filter((l) => l.id !== action.listId);
+    }
+    case "synced": {
+      // the lists another tab landed on after an undo, redo, or jump
+      return action.lists;
+    }
+    case "pulled": {
+      /* tasks from the sync server, each record replaces the task with its id
+      wherever it is, deleted ones are removed, and new ones (or ones moved to
+      another list) go to the end of their list
+      the task objects are used as they are, so the sync engine can tell them
+      apart from local changes */
+      let next = lists;
+      for (const { id, listId, task, deleted } of action.records) {
+        const fromList = next.find((l) => l.tasks.some((t) => t.id === id));
+        if (fromList && fromList.id === listId && !deleted) {
+          next = updateList(next, listId, {
+            tasks: fromList.tasks.map((t) => (t.id === id ? task : t)),
+          });
+          continue;
+        }
+        if (fromList) {
+          next = updateList(next, fromList.id, {
+            tasks: fromList.tasks.filter((t) => t.id !== id),
+          });
+        }
+        if (deleted) {
+          continue;
+        }
+        // lists aren't synced, a task from a list that isn't here gets one
+        if (!next.some((l) => l.id === listId)) {
+          next = [
+            ...next,
+            createTaskList({ id: listId, name: "Synced tasks" }),
+          ];
+        }
+        const toList = next.find((l) => l.id === listId);
+        next = updateList(next, listId, { tasks: [...toList.tasks, task] });
+      }
+      return next;
+    }
+    case "moved_task_to_list": {
+      /* takes the task with action.id out of the list with action.listId, and
+      adds it to the list with action.toListId, by id like added does */
+      const fromList = lists.find((l) => l.id === action.listId);
+      // a subtask can be moved too, it becomes a top-level task in the new list
+      const task =
+        fromList &&
+        flattenTasks(fromList.tasks).find((t) => t.id === action.id);
+      if (!task || action.toListId === action.listId) {
+        return lists;
+      }
+      return lists.map((l) => {
+        if (l.id === action.listId) {
+          return {
+            ...l,
+            tasks: syncDone(removeTaskFromTree(l.tasks, action.id)),
+          };
+        } else if (l.id === action.toListId) {
+          return { ...l, tasks: insertById(l.tasks, task) };
+        } else {
+          return l;
+        }
+      });
+    }
+    default: {
+      const list = lists.find((l) => l.id === action.listId);
+      /* there's no list to change, ex. every list was deleted or archived, so
+      the action changes nothing */
+      if (!list) {
+        return lists;
+      }
+      const nextTasks = tasksReducer(list.tasks, action);
+      // nothing changed, returns the same lists so nothing re-renders
+      if (nextTasks === list.tasks) {
+        return lists;
+      }
+      return updateList(lists, list.id, { tasks: nextTasks });
+    }
+  }
+}
+
 /* reducers ensure immutability by always returning a new array
 instead of mutating the original tasks array directly
 
 reducer function that handles updates to a list of tasks
 
 tasks is the current state, an array of task objects
-each task has properties id, text, and done
+each task has properties id, text, done, dueDate, priority, tags, notes, and
+subtasks (see createTask in TasksSchema.jsx)
+actions that take an id work on the task with that id at any depth, and a
+parent's done always matches its subtasks (see syncDone in TaskTree.jsx)
 
 action is object that describes what change should should occur
 action has a type property and may include additional properties 
@@ -55,38 +468,111 @@ function tasksReducer(tasks, action) {
   // switch checks the type property of action object
   switch (action.type) {
     case "added": {
-      return [
-        // copies the existing tasks array
-        ...tasks,
-        // appends a new task object to the end of the array
-        {
-          id: action.id,
-          text: action.text,
-          done: false,
-        },
-      ];
+      /* dueDate, priority, tags, and notes are optional on the action,
+      createTask fills in the missing ones, the id isn't (see withNewIds) */
+      requireId(action);
+      const task = createTask({
+        id: action.id,
+        text: action.text,
+        dueDate: action.dueDate,
+        priority: action.priority,
+        tags: action.tags,
+        notes: action.notes,
+      });
+      /* with a parentId, the new task becomes the last subtask of that task
+      the new task goes to the end (see insertById), tasks added by two tabs
+      at the same time end up in the same order in both */
+      if (action.parentId !== undefined) {
+        return syncDone(
+          updateTaskInTree(tasks, action.parentId, (parent) => ({
+            ...parent,
+            subtasks: insertById(parent.subtasks, task),
+          }))
+        );
+      }
+      return insertById(tasks, task);
     }
     case "changed": {
-      /* iterates over the tasks array and for each task t 
-      and returns a new array where one task is replaced with
-      its updated version */
-      return tasks.map((t) => {
-        /* checks if its id matches the id of the task 
-        provided in action.task */
-        if (t.id === action.task.id) {
-          // if match, returns the updated task
-          return action.task;
-        } else {
-          // if no match, returns the task as is
-          return t;
-        }
+      /* walks the tasks tree and returns a new tree where one task, the
+      one with the id of action.task, gets the fields in action.task
+      action.task only carries the fields that were edited, never the
+      subtasks, so a subtask added by another tab in the meantime stays */
+      return updateTask(tasks, action.task.id, action.task);
+    }
+    case "changed_done": {
+      /* checking a task checks all of its subtasks, action.doneIds are the
+      task and its subtasks (see withDoneIds), and syncDone then updates the
+      parents above it */
+      return syncDone(updateDone(tasks, action.doneIds, action.done));
+    }
+    /* one action per field, each carries the task's id and only the new
+    value, so an event handler doesn't need the whole task object */
+    case "changed_due_date": {
+      return updateTask(tasks, action.id, { dueDate: action.dueDate });
+    }
+    case "changed_priority": {
+      return updateTask(tasks, action.id, { priority: action.priority });
+    }
+    case "changed_tags": {
+      return updateTask(tasks, action.id, { tags: action.tags });
+    }
+    case "changed_notes": {
+      return updateTask(tasks, action.id, { notes: action.notes });
+    }
+    case "moved": {
+      /* the order of the array is the order the tasks are shown and stored in
+      action.order is the ids of the siblings (the tasks with action.parentId,
+      null for the top-level ones) after the move (see withOrder), so the
+      result doesn't depend on what else changed before the action got here */
+      if (action.parentId === null) {
+        return orderSiblings(tasks, action.order);
+      }
+      return updateTaskInTree(tasks, action.parentId, (parent) => {
+        const subtasks = orderSiblings(parent.subtasks, action.order);
+        return subtasks === parent.subtasks ? parent : { ...parent, subtasks };
       });
     }
     case "deleted": {
-      /* filters the tasks array to exclude the task with the id 
-      matching action.id and returns a new array with the specified
-      task removed */
-      return tasks.filter((t) => t.id !== action.id);
+      /* removes the task with the id matching action.id, with its subtasks,
+      a parent can become done when its last unchecked subtask is gone */
+      return syncDone(removeTaskFromTree(tasks, action.id));
+    }
+    /* bulk actions carry the ids of every selected task, and change all of
+    them in one action, so one undo brings all of them back */
+    case "bulk_changed_done": {
+      // the selected tasks and their subtasks, like changed_done
+      return syncDone(updateDone(tasks, action.doneIds, action.done));
+    }
+    case "bulk_deleted": {
+      let next = tasks;
+      for (const id of action.ids) {
+        next = removeTaskFromTree(next, id);
+      }
+      return syncDone(next);
+    }
+    case "bulk_duplicated": {
+      /* every copy goes right after its original, the copies and their
+      subtasks get new ids */
+      const makeId = idMaker(action);
+      let next = tasks;
+      for (const id of action.ids) {
+        next = updateSiblingsInTree(next, id, (siblings) => {
+          const index = siblings.findIndex((t) => t.id === id);
+          return [
+            ...siblings.slice(0, index + 1),
+            copyTask(siblings[index], makeId),
+            ...siblings.slice(index + 1),
+          ];
+        });
+      }
+      // a copy of a subtask can make its parent not done anymore
+      return syncDone(next);
+    }
+    case "imported": {
+      // see importTasks in TaskTree.jsx, the new ids are action.newIds
+      const next = importTasks(tasks, action, idMaker(action));
+      // imported subtasks decide if their parents are done
+      return syncDone(next);
     }
     default: {
       // throws an error of action.type does not match any case
@@ -95,8 +581,315 @@ function tasksReducer(tasks, action) {
   }
 }
 
-const initialTasks = [
-  { id: 0, text: "Philosopher's Path", done: true },
-  { id: 1, text: "Visit the temple", done: false },
-  { id: 2, text: "Drink matcha", done: false },
+/* inserts the task after the last sibling with a smaller id (see compareIds),
+new ids are larger than the ones before them, so that's usually the end
+two tabs that add a task at the same time get the other one later, and both
+put the two tasks in the same order, whichever was applied first */
+function insertById(siblings, task) {
+  let index = siblings.length;
+  while (index > 0 && compareIds(siblings[index - 1].id, task.id) > 0) {
+    index--;
+  }
+  return [...siblings.slice(0, index), task, ...siblings.slice(index)];
+}
+
+// the numeric ids of initialLists come first, then ulids, which sort by time
+function compareIds(a, b) {
+  if (typeof a !== typeof b) {
+    return typeof a === "number" ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/* puts the siblings in the order of the ids in order, ids that aren't
+siblings anymore are skipped, and siblings that aren't in order (added by
+another tab after the order was taken) are inserted by id, like added does */
+function orderSiblings(siblings, order) {
+  const byId = new Map(siblings.map((t) => [t.id, t]));
+  const ordered = order.filter((id) => byId.has(id)).map((id) => byId.get(id));
+  const next = siblings
+    .filter((t) => !order.includes(t.id))
+    .reduce(insertById, ordered);
+  // nothing moved, returns the same array so nothing re-renders
+  return next.every((t, index) => t === siblings[index]) ? siblings : next;
+}
+
+// returns a new tree where the task with the id has the fields replaced
+function updateTask(tasks, id, fields) {
+  return updateTaskInTree(tasks, id, (t) => ({ ...t, ...fields }));
+}
+
+// sets done on every task in ids, the parents are left to syncDone
+function updateDone(tasks, ids, done) {
+  let next = tasks;
+  for (const id of ids) {
+    next = updateTask(next, id, { done: done });
+  }
+  return next;
+}
+
+// same for the list with the id
+function updateList(lists, id, fields) {
+  return lists.map((l) => (l.id === id ? { ...l, ...fields } : l));
+}
+
+/* the list with activeListId, or the first list that isn't archived, when
+that one was archived or deleted, null when every list is */
+function selectActiveList(lists, activeListId) {
+  return (
+    lists.find((l) => l.id === activeListId && !l.archived) ??
+    lists.find((l) => !l.archived) ??
+    null
+  );
+}
+
+/* makeId for the actions that copy tasks, it hands out action.newIds (see
+withNewIds) in order */
+function idMaker(action) {
+  const newIds = [...(action.newIds ?? [])];
+  return function makeId() {
+    if (newIds.length === 0) {
+      throw Error("Not enough newIds for " + action.type);
+    }
+    return newIds.shift();
+  };
+}
+
+// the reducers never make ids, an action that needs one has to bring it
+function requireId(action) {
+  if (action.id === undefined) {
+    throw Error("Missing id for " + action.type);
+  }
+}
+
+/* ulids are random, so an id made by the reducer would be different in every
+tab that replays the action, and every time StrictMode calls the reducer,
+withNewIds makes the new ids once, before the action is dispatched and sent to
+the other tabs
+added and created_list get their id, bulk_duplicated and imported get newIds,
+one for every task they copy
+new task ids are picked from the tasks of every list, so a task keeps a unique
+id when it's moved to another list */
+function withNewIds(action, lists) {
+  const allTasks = lists.flatMap((l) => flattenTasks(l.tasks));
+  const makeIds = (count) =>
+    Array.from({ length: count }, () => taskIds.next(allTasks));
+  switch (action.type) {
+    case "added": {
+      return action.id === undefined
+        ? { ...action, id: taskIds.next(allTasks) }
+        : action;
+    }
+    case "created_list": {
+      return action.id === undefined
+        ? { ...action, id: listIds.next(lists) }
+        : action;
+    }
+    case "bulk_duplicated": {
+      // each selected task is copied with all of its subtasks
+      const list = lists.find((l) => l.id === action.listId);
+      const listTasks = list ? flattenTasks(list.tasks) : [];
+      const count = action.ids.reduce(
+        (sum, id) =>
+          sum + flattenTasks(listTasks.filter((t) => t.id === id)).length,
+        0
+      );
+      return { ...action, newIds: makeIds(count) };
+    }
+    case "imported": {
+      // replaced tasks keep their own id, only their subtasks get new ones
+      const count =
+        flattenTasks(action.added).length +
+        action.replaced.reduce(
+          (sum, t) => sum + flattenTasks(t.subtasks).length,
+          0
+        );
+      return { ...action, newIds: makeIds(count) };
+    }
+    default: {
+      return action;
+    }
+  }
+}
+
+/* remembers the stamp of the latest edit of what the action changes, and
+under "lists", the stamp of the latest edit of anything */
+function recordEdit(editStamps, action, stamp) {
+  for (const key of conflictKeys(action)) {
+    editStamps.set(key, stamp);
+  }
+  const latest = editStamps.get("lists");
+  if (!latest || isLaterStamp(stamp, latest)) {
+    editStamps.set("lists", stamp);
+  }
+}
+
+/* moved carries the ids of the siblings in their new order, with the parent
+they're under, instead of a position, another tab can have added or moved
+tasks in the meantime, and the same position would be somewhere else there */
+function withOrder(action, lists) {
+  if (action.type !== "moved") {
+    return action;
+  }
+  const list = lists.find((l) => l.id === action.listId);
+  const tasks = list ? list.tasks : [];
+  const parent = flattenTasks(tasks).find((t) =>
+    t.subtasks.some((s) => s.id === action.id)
+  );
+  const siblings = parent ? parent.subtasks : tasks;
+  const fromIndex = siblings.findIndex((t) => t.id === action.id);
+  const order = siblings.map((t) => t.id);
+  return {
+    ...action,
+    parentId: parent ? parent.id : null,
+    order:
+      fromIndex === -1 ? order : moveItem(order, fromIndex, action.toIndex),
+  };
+}
+
+/* changed_done and bulk_changed_done carry the ids of every task they check,
+the selected tasks and all of their subtasks, as they are in this tab, like
+withOrder does for moved
+a subtask another tab adds in the meantime isn't checked in either tab, and
+its parent isn't done anymore in both */
+function withDoneIds(action, lists) {
+  if (action.type !== "changed_done" && action.type !== "bulk_changed_done") {
+    return action;
+  }
+  const list = lists.find((l) => l.id === action.listId);
+  const listTasks = list ? flattenTasks(list.tasks) : [];
+  const ids = action.type === "changed_done" ? [action.id] : action.ids;
+  const doneIds = flattenTasks(listTasks.filter((t) => ids.includes(t.id)));
+  return { ...action, doneIds: [...new Set(doneIds.map((t) => t.id))] };
+}
+
+/* the edits where two tabs changing the same thing at the same time conflict,
+the later stamp wins, every other action is replayed as it comes
+- one field of one task, the field gets the new value, so the later value is
+the one that stays, changed and the done actions have a key for every field
+or task they change
+- one list's name
+- the order of one group of siblings, moved carries the whole order
+- synced replaces all the lists, it loses to any later edit (see recordEdit)
+adding tasks is replayed too, insertById puts them in the same order in every
+tab, and deleting gives the same result in any order */
+function conflictKeys(action) {
+  switch (action.type) {
+    case "changed": {
+      return Object.keys(action.task)
+        .filter((field) => field !== "id")
+        .map((field) => fieldKey(action.task.id, field));
+    }
+    case "changed_done":
+    case "bulk_changed_done": {
+      return action.doneIds.map((id) => fieldKey(id, "done"));
+    }
+    case "changed_due_date": {
+      return [fieldKey(action.id, "dueDate")];
+    }
+    case "changed_priority": {
+      return [fieldKey(action.id, "priority")];
+    }
+    case "changed_tags": {
+      return [fieldKey(action.id, "tags")];
+    }
+    case "changed_notes": {
+      return [fieldKey(action.id, "notes")];
+    }
+    case "renamed_list": {
+      return ["list:" + action.listId];
+    }
+    case "moved": {
+      return [`order:${action.listId}:${action.parentId}`];
+    }
+    case "synced": {
+      return ["lists"];
+    }
+    default: {
+      return [];
+    }
+  }
+}
+
+function fieldKey(taskId, field) {
+  return `task:${taskId}:${field}`;
+}
+
+/* the action from another tab without the edits that lost to a later edit in
+this tab, changed keeps the fields that didn't lose, and the done actions the
+tasks, any other action is replayed whole or not at all
+null when nothing is left to replay */
+function withoutLostEdits(action, editStamps, stamp) {
+  const isLost = (key) => {
+    const lastStamp = editStamps.get(key);
+    return lastStamp !== undefined && isLaterStamp(lastStamp, stamp);
+  };
+  switch (action.type) {
+    case "changed": {
+      const task = Object.fromEntries(
+        Object.entries(action.task).filter(
+          ([field]) =>
+            field === "id" || !isLost(fieldKey(action.task.id, field))
+        )
+      );
+      return Object.keys(task).length > 1 ? { ...action, task } : null;
+    }
+    case "changed_done":
+    case "bulk_changed_done": {
+      const doneIds = action.doneIds.filter(
+        (id) => !isLost(fieldKey(id, "done"))
+      );
+      return doneIds.length > 0 ? { ...action, doneIds } : null;
+    }
+    default: {
+      return conflictKeys(action).some(isLost) ? null : action;
+    }
+  }
+}
+
+// time travel actions, handled by withHistory, never sent to other tabs
+const historyActionTypes = ["undone", "redone", "jumped"];
+
+/* ulids sort by creation time and don't collide when saved tasks are merged
+with tasks made somewhere else */
+const taskIds = createIdGenerator("ulid");
+const listIds = createIdGenerator("ulid");
+
+// taskListsReducer with undo, redo, and jump support
+const historyTaskListsReducer = withHistory(taskListsReducer);
+
+/* the same empty array every time there's no active list, a new [] on every
+render would make useMemo in useVisibleTasks recalculate for nothing */
+const noTasks = [];
+
+/* both itineraries, the task ids don't repeat across lists, so a task can
+move to the other list without clashing */
+const initialLists = [
+  createTaskList({
+    id: 0,
+    name: "Day off in Kyoto",
+    tasks: [
+      createTask({ id: 0, text: "Philosopher's Path", done: true }),
+      createTask({
+        id: 1,
+        text: "Visit the temple",
+        priority: "high",
+        tags: ["sightseeing"],
+        subtasks: [
+          createTask({ id: 6, text: "Buy a ticket", done: true }),
+          createTask({ id: 7, text: "Ring the bell" }),
+        ],
+      }),
+      createTask({ id: 2, text: "Drink matcha", tags: ["food"] }),
+    ],
+  }),
+  createTaskList({
+    id: 1,
+    name: "Prague itinerary",
+    tasks: [
+      createTask({ id: 3, text: "Visit Kafka Museum", done: true }),
+      createTask({ id: 4, text: "Watch a puppet show" }),
+      createTask({ id: 5, text: "Lennon Wall pic" }),
+    ],
+  }),
 ];
@@ -0,0 +1,104 @@
+import { createContext, useContext, useMemo, useReducer } from "react";
+import { useTasks } from "./TasksContext";
+import { flattenTasks } from "./TaskTree";
+
+/* status - which tasks to show, "all", "active" (not done), or "completed"
+query - search text, matched case-insensitively against the task text
+a top-level task is shown when it, or any of its subtasks at any depth, passes
+the status and the query, so a subtask can be found too, its parent is shown
+with all of its subtasks, and TaskList highlights the match in the subtask
+sort - "created" (the order tasks were added), "alphabetical", or "done_last" */
+const initialFilter = { status: "all", query: "", sort: "created" };
+
+/* the filter is its own piece of state, kept apart from the tasks, so typing in
+the search box doesn't re-render components that only read the tasks
+same split as TasksContext, one context for the state, one for dispatch
+without a TasksFilterProvider above, components read the default filter, which
+shows every task in creation order */
+const TasksFilterContext = createContext(initialFilter);
+const TasksFilterDispatchContext = createContext(null);
+
+/* TasksFilterProvider goes inside TasksProvider, so components below it can
+read both the tasks and the filter */
+export function TasksFilterProvider({ children }) {
+  const [filter, dispatch] = useReducer(filterReducer, initialFilter);
+  return (
+    <TasksFilterContext.Provider value={filter}>
+      <TasksFilterDispatchContext.Provider value={dispatch}>
+        {children}
+      </TasksFilterDispatchContext.Provider>
+    </TasksFilterContext.Provider>
+  );
+}
+
+export function useTasksFilter() {
+  return useContext(TasksFilterContext);
+}
+
+export function useTasksFilterDispatch() {
+  return useContext(TasksFilterDispatchContext);
+}
+
+/* useVisibleTasks returns the tasks that pass the filter, in the chosen order
+any component can use it to read the same subset TaskList shows
+useMemo recalculates the subset only when the tasks or the filter change */
+export function useVisibleTasks() {
+  const tasks = useTasks();
+  const filter = useTasksFilter();
+  return useMemo(() => selectVisibleTasks(tasks, filter), [tasks, filter]);
+}
+
+function filterReducer(filter, action) {
+  switch (action.type) {
+    case "changed_status": {
+      return { ...filter, status: action.status };
+    }
+    case "changed_query": {
+      return { ...filter, query: action.query };
+    }
+    case "changed_sort": {
+      return { ...filter, sort: action.sort };
+    }
+    default: {
+      throw Error("Unknown action: " + action.type);
+    }
+  }
+}
+
+// pure, so it can be reused and tested without rendering anything
+export function selectVisibleTasks(tasks, { status, query, sort }) {
+  const search = query.trim().toLowerCase();
+  const visible = tasks.filter((task) =>
+    flattenTasks([task]).some((t) => matchesFilter(t, status, search))
+  );
+  /* filter already returned a new array, so sorting it doesn't mutate the
+  tasks state
+  sort is stable, so tasks that compare equal keep their creation order */
+  switch (sort) {
+    case "created": {
+      return visible;
+    }
+    case "alphabetical": {
+      return visible.sort((a, b) =>
+        a.text.localeCompare(b.text, undefined, { sensitivity: "base" })
+      );
+    }
+    case "done_last": {
+      return visible.sort((a, b) => Number(a.done) - Number(b.done));
+    }
+    default: {
+      throw Error("Unknown sort: " + sort);
+    }
+  }
+}
+
+// one task, without its subtasks
+function matchesFilter(task, status, search) {
+  if (status === "active" && task.done) {
+    return false;
+  }
+  if (status === "completed" && !task.done) {
+    return false;
+  }
+  return task.text.toLowerCase().includes(search);
+}
@@ -0,0 +1,91 @@
+/* stored tasks carry a schema version, so the shape of a task can change later
+without breaking data that was saved by an older version of the app
+
+stored data looks like { version, lists } */
+export const TASKS_SCHEMA_VERSION = 4;
+
+// a task's priority is one of these, from least to most urgent
+export const PRIORITIES = ["low", "normal", "high"];
+
+/* createTask fills in every field a task has, so reducers and migrations build
+tasks with the same shape
+dueDate - "YYYY-MM-DD" string from a date input, or null
+priority - one of PRIORITIES
+tags - array of strings
+notes - free-form, multi-line text
+subtasks - array of tasks, nested to any depth (see TaskTree.jsx) */
+export function createTask({
+  id,
+  text = "",
+  done = false,
+  dueDate = null,
+  priority = "normal",
+  tags = [],
+  notes = "",
+  subtasks = [],
+}) {
+  return { id, text, done, dueDate, priority, tags, notes, subtasks };
+}
+
+/* createTaskList does the same for a named list of tasks
+archived lists are kept with their tasks, but hidden from the list switcher */
+export function createTaskList({
+  id,
+  name = "",
+  archived = false,
+  tasks = [],
+}) {
+  return { id, name, archived, tasks };
+}
+
+/* migrations[n] turns data stored with version n - 1 into version n
+to change the task shape, bump TASKS_SCHEMA_VERSION and add one migration,
+old data then goes through every migration it missed, in order */
+const migrations = {
+  /* version 0 is a bare array of tasks without a version, the way the tasks
+  array looked in state before there were lists */
+  1: (tasks) => ({ version: 1, tasks: tasks }),
+  // version 2 adds dueDate, priority, tags, and notes to every task
+  2: (data) => ({ version: 2, tasks: data.tasks.map(createTask) }),
+  // version 3 keeps many named lists, the old tasks become the first list
+  3: (data) => ({
+    version: 3,
+    lists: [createTaskList({ id: 0, name: "Tasks", tasks: data.tasks })],
+  }),
+  // version 4 gives every task an empty subtasks array
+  4: (data) => ({
+    version: 4,
+    lists: data.lists.map((list) => ({
+      ...list,
+      tasks: list.tasks.map(createTask),
+    })),
+  }),
+};
+
+// wraps the task lists with the current version before they are stored
+export function serializeTaskLists(lists) {
+  return { version: TASKS_SCHEMA_VERSION, lists: lists };
+}
+
+/* brings stored data up to the current version and returns the lists array
+throws if the data was stored by a newer version of the app, or if it doesn't
+look like tasks at all */
+export function deserializeTaskLists(stored) {
+  let data = stored;
+  let version = Array.isArray(stored) ? 0 : stored?.version;
+  if (!Number.isInteger(version)) {
+    throw Error("Stored tasks have no schema version");
+  }
+  if (version > TASKS_SCHEMA_VERSION) {
+    throw Error("Stored tasks use a newer schema version: " + version);
+  }
+  // runs every migration between the stored version and the current one
+  while (version < TASKS_SCHEMA_VERSION) {
+    version++;
+    data = migrations[version](data);
+  }
+  if (!Array.isArray(data.lists)) {
+    throw Error("Stored task lists are not an array");
+  }
+  return data.lists;
+}
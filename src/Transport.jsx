@@ -0,0 +1,251 @@
+import { useEffect, useRef } from "react";
+import { ulid } from "./Ids";
+
+/* a transport carries chat messages out of the app, and brings events back in
+every transport has the same interface, so Messenger doesn't care which one it
+talks to
+- send(message) - sends { contactId, messageId, text, sentAt }, the outcome
+                  comes back later as an event
+- subscribe(listener) - calls listener(event) for every event, returns a
+                        function that unsubscribes
+- close() - stops the transport
+events
+- { type: "delivered", contactId, messageId } - the message arrived
+- { type: "failed", contactId, messageId } - it couldn't be sent
+- { type: "received", contactId, text, sentAt } - the contact wrote back
+contactId is the id of the conversation, a contact's, or a group's */
+
+/* the loopback transport never leaves the browser, every message is delivered
+after delay ms, and the contact answers with reply(text), handy without a
+server, and in tests, a message that's only attachments gets no answer */
+export function createLoopbackTransport({
+  delay = 500,
+  reply = (text) => text,
+} = {}) {
+  const listeners = new Set();
+  const timeoutIds = new Set();
+
+  function emit(event) {
+    listeners.forEach((listener) => listener(event));
+  }
+
+  return {
+    send({ contactId, messageId, text }) {
+      const timeoutId = setTimeout(() => {
+        timeoutIds.delete(timeoutId);
+        emit({ type: "delivered", contactId, messageId });
+        if (text !== "") {
+          emit({
+            type: "received",
+            contactId,
+            text: reply(text),
+            sentAt: Date.now(),
+          });
+        }
+      }, delay);
+      timeoutIds.add(timeoutId);
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close() {
+      timeoutIds.forEach((timeoutId) => clearTimeout(timeoutId));
+      timeoutIds.clear();
+      listeners.clear();
+    },
+  };
+}
+
+/* the WebSocket transport sends every message as a JSON frame
+{ contactId, messageId, text, sentAt, clientId }
+the server answers with frames of the same shape, a frame that has this
+client's clientId and a messageId is the server passing the message back,
+which means it was delivered, and its text is the contact's answer, so an
+echo server is enough to try it (see ws-echo-server.js)
+a frame needs a string text, and a contactId this client sent a message to,
+any other frame is reported and skipped, the server is outside the app
+
+the socket opens on the first send or subscribe, messages sent before it's
+open wait in a queue, and when it closes, every message that didn't come back
+fails
+WebSocketImpl is the WebSocket class, ex. the one from the ws package in Node */
+export function createWebSocketTransport(
+  url,
+  { WebSocketImpl = globalThis.WebSocket } = {}
+) {
+  const clientId = ulid();
+  const listeners = new Set();
+  // frames waiting for the socket to open
+  let queue = [];
+  // frames sent, but not back yet, by messageId
+  const pending = new Map();
+  // the contacts this client sent a message to, the only ones that answer
+  const contactIds = new Set();
+  let socket = null;
+
+  function emit(event) {
+    listeners.forEach((listener) => listener(event));
+  }
+
+  function connect() {
+    if (socket !== null) {
+      return;
+    }
+    socket = new WebSocketImpl(url);
+    socket.addEventListener("open", () => {
+      queue.forEach((frame) => socket.send(JSON.stringify(frame)));
+      queue = [];
+    });
+    socket.addEventListener("message", (e) => {
+      let frame;
+      try {
+        frame = JSON.parse(e.data);
+      } catch (error) {
+        // a frame that isn't JSON isn't a message, it's reported and skipped
+        console.error("Ignored a WebSocket frame that isn't JSON", error);
+        return;
+      }
+      if (frame === null || typeof frame !== "object") {
+        console.error("Ignored a WebSocket frame that isn't an object", frame);
+        return;
+      }
+      if (typeof frame.text !== "string") {
+        console.error("Ignored a WebSocket frame without text", frame);
+        return;
+      }
+      if (!contactIds.has(frame.contactId)) {
+        console.error(
+          "Ignored a WebSocket frame from an unknown contact",
+          frame
+        );
+        return;
+      }
+      if (frame.clientId === clientId && pending.has(frame.messageId)) {
+        pending.delete(frame.messageId);
+        emit({
+          type: "delivered",
+          contactId: frame.contactId,
+          messageId: frame.messageId,
+        });
+      }
+      emit({
+        type: "received",
+        contactId: frame.contactId,
+        text: frame.text,
+        sentAt: Date.now(),
+      });
+    });
+    /* close also fires after an error, so failures are reported once, there
+    the error listener is still needed, the ws package throws errors nobody
+    listens to */
+    socket.addEventListener("error", () => {});
+    socket.addEventListener("close", () => {
+      [...queue, ...pending.values()].forEach((frame) =>
+        emit({
+          type: "failed",
+          contactId: frame.contactId,
+          messageId: frame.messageId,
+        })
+      );
+      queue = [];
+      pending.clear();
+      // the next send opens a new socket
+      socket = null;
+    });
+  }
+
+  return {
+    send(message) {
+      const frame = { ...message, clientId };
+      connect();
+      contactIds.add(frame.contactId);
+      pending.set(frame.messageId, frame);
+      if (socket.readyState === WebSocketImpl.OPEN) {
+        socket.send(JSON.stringify(frame));
+      } else {
+        queue.push(frame);
+      }
+    },
+    subscribe(listener) {
+      connect();
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close() {
+      listeners.clear();
+      socket?.close();
+    },
+  };
+}
+
+/* transportMiddleware feeds sent messages into the transport, the reducer
+handles sent_message first, so the message already has its id when it's read
+back from the new state */
+export function transportMiddleware(transport) {
+  return (store) => (next) => (action) => {
+    if (action.type !== "sent_message") {
+      return next(action);
+    }
+    const { selectedId } = store.getState();
+    const before = store.getState().threads[selectedId];
+    const result = next(action);
+    const thread = store.getState().threads[selectedId];
+    // an empty message isn't sent, then the thread stays the same
+    if (thread !== before) {
+      const message = thread[thread.length - 1];
+      /* the attachments stay here, their object URLs only work in this
+      browser */
+      transport.send({
+        contactId: selectedId,
+        messageId: message.id,
+        text: message.text,
+        sentAt: message.sentAt,
+      });
+    }
+    return result;
+  };
+}
+
+/* useTransport dispatches the transport's events back into the reducer while
+the component is mounted */
+export function useTransport(transport, dispatch) {
+  // MyReact's dispatch is new on every render, the ref keeps the latest one
+  const dispatchRef = useRef(dispatch);
+
+  useEffect(() => {
+    dispatchRef.current = dispatch;
+  });
+
+  useEffect(() => {
+    return transport.subscribe((event) => {
+      switch (event.type) {
+        case "delivered": {
+          dispatchRef.current({
+            type: "delivered_message",
+            contactId: event.contactId,
+            messageId: event.messageId,
+          });
+          break;
+        }
+        case "failed": {
+          dispatchRef.current({
+            type: "failed_message",
+            contactId: event.contactId,
+            messageId: event.messageId,
+          });
+          break;
+        }
+        case "received": {
+          dispatchRef.current({
+            type: "received_message",
+            contactId: event.contactId,
+            text: event.text,
+            sentAt: event.sentAt,
+          });
+          break;
+        }
+      }
+    });
+  }, [transport]);
+}
@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { Link, useOutletContext } from "react-router-dom";
+
+/* the /cart page, every line with its quantity, which can be changed right
+there, and the subtotal */
+export default function Cart() {
+  const { cartItems, subtotal, setQuantity, removeFromCart, clearCart } =
+    useOutletContext();
+
+  if (cartItems.length === 0) {
+    return (
+      <div>
+        <h2>Your cart</h2>
+        <p>Your cart is empty.</p>
+        <Link to="/products">Browse the products</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2>Your cart</h2>
+      <ul className="cart-lines">
+        {cartItems.map((line) => (
+          <li key={line.productId}>
+            <Link to={`/products/${line.productId}`}>{line.title}</Link> $
+            {line.price.toFixed(2)}{" "}
+            <QuantityInput
+              line={line}
+              // 0 removes the line, like the Remove button
+              onCommit={(quantity) => setQuantity(line.productId, quantity)}
+            />{" "}
+            <button
+              type="button"
+              onClick={() => removeFromCart(line.productId)}
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+      <p>
+        Subtotal: <strong>${subtotal.toFixed(2)}</strong>
+      </p>
+      <button type="button" onClick={clearCart}>
+        Empty the cart
+      </button>{" "}
+      <Link to="/checkout">Check out</Link>
+    </div>
+  );
+}
+
+/* the quantity is typed freely, and only set when the input loses focus or
+Enter is pressed, so clearing the input to type another number doesn't remove
+the line, an input left empty goes back to the quantity
+when the quantity changes from somewhere else (ex. the product page), the text
+is reset to it while rendering */
+function QuantityInput({ line, onCommit }) {
+  const [text, setText] = useState(String(line.quantity));
+  const [prevQuantity, setPrevQuantity] = useState(line.quantity);
+  if (line.quantity !== prevQuantity) {
+    setPrevQuantity(line.quantity);
+    setText(String(line.quantity));
+  }
+
+  function commit() {
+    if (text.trim() === "") {
+      setText(String(line.quantity));
+      return;
+    }
+    // "2.7" is 2, like the cart reducer does it
+    const quantity = Math.trunc(Number(text));
+    setText(String(quantity));
+    onCommit(quantity);
+  }
+
+  return (
+    <input
+      type="number"
+      min={0}
+      aria-label={"Quantity of " + line.title}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") {
+          commit();
+        }
+      }}
+    />
+  );
+}
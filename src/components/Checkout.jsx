@@ -0,0 +1,69 @@
+import { useState } from "react";
+import { Link, useOutletContext } from "react-router-dom";
+
+/* the /checkout page, there's no payment, placing the order empties the cart
+and shows what was ordered */
+export default function Checkout() {
+  const { cartItems, itemCount, subtotal, clearCart } = useOutletContext();
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  // what was ordered, null until the order is placed
+  const [order, setOrder] = useState(null);
+
+  if (order !== null) {
+    return (
+      <div>
+        <h2>Thank you, {order.name}!</h2>
+        <p>
+          Your order of {order.itemCount} items, ${order.subtotal.toFixed(2)},
+          is on its way. We sent the receipt to {order.email}.
+        </p>
+        <Link to="/products">Keep shopping</Link>
+      </div>
+    );
+  }
+
+  if (cartItems.length === 0) {
+    return (
+      <div>
+        <h2>Checkout</h2>
+        <p>There&apos;s nothing to check out.</p>
+        <Link to="/products">Browse the products</Link>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        setOrder({ name, email, itemCount, subtotal });
+        clearCart();
+      }}
+    >
+      <h2>Checkout</h2>
+      <p>
+        {itemCount} items, <strong>${subtotal.toFixed(2)}</strong>{" "}
+        <Link to="/cart">Edit the cart</Link>
+      </p>
+      <label>
+        Name{" "}
+        <input
+          required
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+      </label>
+      <label>
+        Email{" "}
+        <input
+          type="email"
+          required
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+        />
+      </label>
+      <button type="submit">Place order</button>
+    </form>
+  );
+}
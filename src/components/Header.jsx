@@ -1,33 +1,167 @@
 /* hook used to consume data from a context object created by createContext
 use this hook inside my component to retrieve the data that I need 
 hook accepts the context object as an argument */
-import { useContext } from "react";
-import { ShopContext } from "../App";
-// import { Link } from "react-router-dom";
+import { useContext, useEffect, useId, useRef, useState } from "react";
+import { ShopContext } from "../ShopContext";
+import { Link } from "react-router-dom";
 
 function Links() {
   /* gets cartItems directly in the Links component, no matter how deeply 
   nested the component is, as long as this component is nested inside the 
   Provider 
-  useContext() accesses cartItems from the ShopContext 
+  useContext() accesses itemCount from the ShopContext, the number of items
+  in cartItems 
   
   useContext() call in a component is not affected  by providers returned 
   from the same component, the corresponding Context.Provider needs to be
   above the component doing the useContext() call */
-  const { cartItems } = useContext(ShopContext);
+  const { cartItems, itemCount, subtotal, removeFromCart } =
+    useContext(ShopContext);
   return (
     <ul>
       {/* Links */}
       <li>
-        {/* <Link to="Link to the cart">
-          <span>Cart</span>
-          <div className="cart-icon">{cartItems.length}</div>
-        </Link> */}
+        <Link to="/products">Products</Link>
       </li>
+      <MiniCart
+        cartItems={cartItems}
+        itemCount={itemCount}
+        subtotal={subtotal}
+        onRemove={removeFromCart}
+      />
     </ul>
   );
 }
 
+/* the cart icon, with the number of items on a badge, and a dropdown with the
+lines of the cart, it opens when the pointer is over the icon, or when the icon
+is clicked, Enter and Space click it too, since it's a button
+Escape closes it and puts the focus back on the icon, so does clicking
+anywhere else, or tabbing out of it
+the button says whether the dropdown is open with aria-expanded, and the number
+of items is announced politely when it changes */
+function MiniCart({ cartItems, itemCount, subtotal, onRemove }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const dropdownId = useId();
+  const containerRef = useRef(null);
+  const buttonRef = useRef(null);
+
+  // a click outside of the icon and the dropdown closes it
+  useEffect(() => {
+    if (!isOpen) {
+      return;
+    }
+    function handlePointerDown(e) {
+      if (!containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    }
+    document.addEventListener("mousedown", handlePointerDown);
+    return () => document.removeEventListener("mousedown", handlePointerDown);
+  }, [isOpen]);
+
+  function close() {
+    setIsOpen(false);
+    buttonRef.current.focus();
+  }
+
+  return (
+    <li
+      className="mini-cart"
+      ref={containerRef}
+      onMouseEnter={() => setIsOpen(true)}
+      onMouseLeave={() => {
+        // keyboard users in the dropdown keep it open
+        if (!containerRef.current.contains(document.activeElement)) {
+          setIsOpen(false);
+        }
+      }}
+      onKeyDown={(e) => {
+        if (e.key === "Escape" && isOpen) {
+          e.stopPropagation();
+          close();
+        }
+      }}
+      onBlur={(e) => {
+        // relatedTarget is where the focus went, null when it left the page
+        if (!e.currentTarget.contains(e.relatedTarget)) {
+          setIsOpen(false);
+        }
+      }}
+    >
+      <button
+        type="button"
+        ref={buttonRef}
+        className="cart-icon"
+        aria-expanded={isOpen}
+        aria-controls={dropdownId}
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        <span aria-hidden="true">🛒</span>
+        <span className="visually-hidden">Cart, </span>
+        {/* a new key remounts the badge, so its animation plays again every
+        time the count changes */}
+        <span key={itemCount} className="cart-badge">
+          {itemCount}
+        </span>
+        <span className="visually-hidden">
+          {itemCount === 1 ? " item" : " items"}
+        </span>
+      </button>
+      <span className="visually-hidden" aria-live="polite">
+        {itemCount === 1 ? "1 item" : itemCount + " items"} in your cart
+      </span>
+      <div
+        id={dropdownId}
+        className="mini-cart-dropdown"
+        role="region"
+        aria-label="Cart"
+        hidden={!isOpen}
+      >
+        {cartItems.length === 0 ? (
+          <p>Your cart is empty.</p>
+        ) : (
+          <>
+            <ul>
+              {cartItems.map((line) => (
+                <li key={line.productId}>
+                  <Link
+                    to={`/products/${line.productId}`}
+                    onClick={() => setIsOpen(false)}
+                  >
+                    {line.title}
+                  </Link>{" "}
+                  <small>
+                    {line.quantity} × ${line.price.toFixed(2)}
+                  </small>{" "}
+                  <button
+                    type="button"
+                    aria-label={"Remove " + line.title}
+                    onClick={() => {
+                      onRemove(line.productId);
+                      /* the button goes away with its line, the focus goes
+                      back to the icon instead of the page */
+                      buttonRef.current.focus();
+                    }}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <p>
+              Subtotal: <strong>${subtotal.toFixed(2)}</strong>
+            </p>
+          </>
+        )}
+        <Link to="/cart" onClick={() => setIsOpen(false)}>
+          View cart
+        </Link>
+      </div>
+    </li>
+  );
+}
+
 export default function Header() {
   return (
     <header>
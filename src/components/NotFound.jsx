@@ -0,0 +1,13 @@
+import { Link, useLocation } from "react-router-dom";
+
+// every path the routes don't know, ex. /prodcts, or a product that's gone
+export default function NotFound() {
+  const { pathname } = useLocation();
+  return (
+    <div>
+      <h2>Page not found</h2>
+      <p>There&apos;s nothing at {pathname}.</p>
+      <Link to="/products">Back to the products</Link>
+    </div>
+  );
+}
@@ -1,19 +1,101 @@
-import { useContext } from "react";
-import { ShopContext } from "../App";
+import { useState } from "react";
+import { useOutletContext, useParams } from "react-router-dom";
+import NotFound from "./NotFound";
 
+// the /products/:id page
 export default function ProductDetail() {
-  // useContext() accesses products and addToCart from the ShopContext
-  const { products, addToCart } = useContext(ShopContext);
-  let product; // products.find(/* logic to find the specific product */);
+  // the id comes from the URL, as a string
+  const { id } = useParams();
+  /* useOutletContext() accesses products and addToCart from the shop data
+  ShopLayout passes through the Outlet */
+  const {
+    products,
+    productsStatus,
+    productsError,
+    retryProducts,
+    cartItems,
+    addToCart,
+  } = useOutletContext();
+  const product = products.find((p) => String(p.id) === id);
+  // the products from before a retry still show while it loads
+  if (!product && productsStatus === "loading") {
+    return <p>Loading products...</p>;
+  }
+  if (!product && productsStatus === "error") {
+    return (
+      <p role="alert">
+        Could not load the products ({productsError.message}).{" "}
+        <button type="button" onClick={retryProducts}>
+          Try again
+        </button>
+      </p>
+    );
+  }
+  // the products are in, and none has this id
+  if (!product) {
+    return <NotFound />;
+  }
+  // the line for this product, if it's in the cart already
+  const line = cartItems.find((l) => l.productId === product.id);
   return (
     <div>
-      Image of the product
+      {product.image ? (
+        <img src={product.image} alt={product.title} width={200} />
+      ) : (
+        "Image of the product"
+      )}
+      <h2>{product.title}</h2>
+      <p>${product.price.toFixed(2)}</p>
       <div>
-        {/* element sthat align with the design */}
-        <button type="button" onClick={() => addToCart(product)}>
-          Add to Cart
-        </button>
+        {/* element sthat align with the design
+        key starts every product at a quantity of 1, the route keeps this
+        component when only the id changes */}
+        <AddToCart key={product.id} product={product} addToCart={addToCart} />
+        {line && <p>{line.quantity} in your cart</p>}
       </div>
     </div>
   );
 }
+
+/* the quantity is typed as text, and only read when the input loses focus or
+Enter is pressed, like the cart's QuantityInput, so the input can be cleared
+to type a new number, a draft that isn't a number goes back to the quantity,
+and anything under 1 is 1 */
+function AddToCart({ product, addToCart }) {
+  // how many to add with the next click
+  const [quantity, setQuantity] = useState(1);
+  const [text, setText] = useState("1");
+
+  function commit() {
+    if (text.trim() === "" || Number.isNaN(Number(text))) {
+      setText(String(quantity));
+      return;
+    }
+    const next = Math.max(1, Math.trunc(Number(text)));
+    setQuantity(next);
+    setText(String(next));
+  }
+
+  return (
+    <>
+      <label>
+        Quantity{" "}
+        <input
+          type="number"
+          min={1}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onBlur={commit}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              commit();
+            }
+          }}
+        />
+      </label>
+      <button type="button" onClick={() => addToCart(product, quantity)}>
+        Add to Cart
+      </button>
+    </>
+  );
+}
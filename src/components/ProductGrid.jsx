@@ -0,0 +1,317 @@
+import { useMemo } from "react";
+import { Link, useOutletContext, useSearchParams } from "react-router-dom";
+
+// products per page
+const PAGE_SIZE = 6;
+
+/* query - search text, matched case-insensitively against the title and the
+        description
+categories - the checked categories, none checked shows every category
+minPrice, maxPrice - "" when there's no limit, they're the inputs' values
+sort - "featured" (the order of the products), "price_asc", "price_desc",
+       "rating", or "title"
+page - starts at 1, every other change goes back to it
+the filter lives in the URL's query string (see filterFromParams), not in
+state, so it's still there when Back comes from a product's page */
+const initialFilter = {
+  query: "",
+  categories: [],
+  minPrice: "",
+  maxPrice: "",
+  sort: "featured",
+  page: 1,
+};
+
+const sortLabels = {
+  featured: "Featured",
+  price_asc: "Price, low to high",
+  price_desc: "Price, high to low",
+  rating: "Rating",
+  title: "Name",
+};
+
+/* the /products page, the products from the outlet context as a grid of
+cards, with a search box, facets for the category and the price, a sort
+order, and pages, every card links to the product's page */
+export default function ProductGrid() {
+  const { products, productsStatus, productsError, retryProducts } =
+    useOutletContext();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filter = useMemo(() => filterFromParams(searchParams), [searchParams]);
+  /* the reducer works out the next filter, and the URL gets it, a new page is
+  a history entry of its own, the other changes replace the current one, so
+  Back doesn't go through every letter typed in the search box */
+  function dispatch(action) {
+    const next = productFilterReducer(filter, action);
+    setSearchParams(paramsFromFilter(next), {
+      replace: action.type !== "changed_page",
+    });
+  }
+  const categories = useMemo(
+    () => [...new Set(products.map((p) => p.category))].sort(),
+    [products]
+  );
+  const visible = useMemo(
+    () => selectVisibleProducts(products, filter),
+    [products, filter]
+  );
+  const pageCount = Math.max(1, Math.ceil(visible.length / PAGE_SIZE));
+  // the page can be past the end, when the products were reloaded with fewer
+  const page = Math.min(filter.page, pageCount);
+  const pageProducts = visible.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+  if (productsStatus === "error" && products.length === 0) {
+    return (
+      <p role="alert">
+        Could not load the products ({productsError.message}).{" "}
+        <button type="button" onClick={retryProducts}>
+          Try again
+        </button>
+      </p>
+    );
+  }
+
+  return (
+    <section className="product-grid">
+      <div className="product-filters">
+        <input
+          type="search"
+          aria-label="Search products"
+          placeholder="Search products"
+          value={filter.query}
+          onChange={(e) =>
+            dispatch({ type: "changed_query", query: e.target.value })
+          }
+        />
+        <fieldset>
+          <legend>Category</legend>
+          {categories.map((category) => (
+            <label key={category}>
+              <input
+                type="checkbox"
+                checked={filter.categories.includes(category)}
+                onChange={() =>
+                  dispatch({ type: "toggled_category", category })
+                }
+              />
+              {category} ({countInCategory(products, filter, category)})
+            </label>
+          ))}
+        </fieldset>
+        <fieldset>
+          <legend>Price</legend>
+          <input
+            type="number"
+            min={0}
+            aria-label="Minimum price"
+            placeholder="Min"
+            value={filter.minPrice}
+            onChange={(e) =>
+              dispatch({ type: "changed_min_price", minPrice: e.target.value })
+            }
+          />{" "}
+          to{" "}
+          <input
+            type="number"
+            min={0}
+            aria-label="Maximum price"
+            placeholder="Max"
+            value={filter.maxPrice}
+            onChange={(e) =>
+              dispatch({ type: "changed_max_price", maxPrice: e.target.value })
+            }
+          />
+        </fieldset>
+        <label>
+          Sort by{" "}
+          <select
+            value={filter.sort}
+            onChange={(e) =>
+              dispatch({ type: "changed_sort", sort: e.target.value })
+            }
+          >
+            {Object.entries(sortLabels).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button type="button" onClick={() => dispatch({ type: "reset" })}>
+          Clear filters
+        </button>
+      </div>
+      {productsStatus === "loading" && <p>Loading products...</p>}
+      {productsStatus === "success" && visible.length === 0 && (
+        <p>No products match the filters.</p>
+      )}
+      <ul className="product-cards">
+        {pageProducts.map((product) => (
+          <li key={product.id}>
+            <Link className="product-card" to={`/products/${product.id}`}>
+              <strong>{product.title}</strong>
+              <span>${product.price.toFixed(2)}</span>
+              <small>
+                {product.category} · {product.rating} / 5
+              </small>
+            </Link>
+          </li>
+        ))}
+      </ul>
+      {pageCount > 1 && (
+        <nav className="pagination" aria-label="Pages">
+          <button
+            type="button"
+            disabled={page === 1}
+            onClick={() => dispatch({ type: "changed_page", page: page - 1 })}
+          >
+            Previous
+          </button>{" "}
+          <span aria-live="polite">
+            Page {page} of {pageCount}
+          </span>{" "}
+          <button
+            type="button"
+            disabled={page === pageCount}
+            onClick={() => dispatch({ type: "changed_page", page: page + 1 })}
+          >
+            Next
+          </button>
+        </nav>
+      )}
+    </section>
+  );
+}
+
+function productFilterReducer(filter, action) {
+  switch (action.type) {
+    case "changed_query": {
+      return { ...filter, query: action.query, page: 1 };
+    }
+    case "toggled_category": {
+      const categories = filter.categories.includes(action.category)
+        ? filter.categories.filter((c) => c !== action.category)
+        : [...filter.categories, action.category];
+      return { ...filter, categories, page: 1 };
+    }
+    case "changed_min_price": {
+      return { ...filter, minPrice: action.minPrice, page: 1 };
+    }
+    case "changed_max_price": {
+      return { ...filter, maxPrice: action.maxPrice, page: 1 };
+    }
+    case "changed_sort": {
+      return { ...filter, sort: action.sort, page: 1 };
+    }
+    case "changed_page": {
+      return { ...filter, page: action.page };
+    }
+    case "reset": {
+      return initialFilter;
+    }
+    default: {
+      throw Error("Unknown action: " + action.type);
+    }
+  }
+}
+
+/* the filter in the query string, ?q=mug&category=Kitchen&min=10&sort=rating
+&page=2, a parameter that's missing or not valid is the initialFilter's */
+function filterFromParams(params) {
+  const sort = params.get("sort");
+  const page = Number(params.get("page"));
+  return {
+    query: params.get("q") ?? initialFilter.query,
+    categories: params.getAll("category"),
+    minPrice: params.get("min") ?? initialFilter.minPrice,
+    maxPrice: params.get("max") ?? initialFilter.maxPrice,
+    sort: Object.keys(sortLabels).includes(sort) ? sort : initialFilter.sort,
+    page: Number.isInteger(page) && page >= 1 ? page : initialFilter.page,
+  };
+}
+
+// the other way around, what's the same as initialFilter is left out
+function paramsFromFilter(filter) {
+  const params = new URLSearchParams();
+  if (filter.query !== initialFilter.query) {
+    params.set("q", filter.query);
+  }
+  for (const category of filter.categories) {
+    params.append("category", category);
+  }
+  if (filter.minPrice !== initialFilter.minPrice) {
+    params.set("min", filter.minPrice);
+  }
+  if (filter.maxPrice !== initialFilter.maxPrice) {
+    params.set("max", filter.maxPrice);
+  }
+  if (filter.sort !== initialFilter.sort) {
+    params.set("sort", filter.sort);
+  }
+  if (filter.page !== initialFilter.page) {
+    params.set("page", String(filter.page));
+  }
+  return params;
+}
+
+/* the products that pass the filter, in the chosen order, pure, like
+selectVisibleTasks in TasksFilterContext.jsx */
+function selectVisibleProducts(products, filter) {
+  const visible = products.filter(
+    (product) =>
+      matchesQuery(product, filter.query) &&
+      matchesPrice(product, filter) &&
+      (filter.categories.length === 0 ||
+        filter.categories.includes(product.category))
+  );
+  // filter returned a new array, so sorting it doesn't change the products
+  switch (filter.sort) {
+    case "featured": {
+      return visible;
+    }
+    case "price_asc": {
+      return visible.sort((a, b) => a.price - b.price);
+    }
+    case "price_desc": {
+      return visible.sort((a, b) => b.price - a.price);
+    }
+    case "rating": {
+      return visible.sort((a, b) => b.rating - a.rating);
+    }
+    case "title": {
+      return visible.sort((a, b) =>
+        a.title.localeCompare(b.title, undefined, { sensitivity: "base" })
+      );
+    }
+    default: {
+      throw Error("Unknown sort: " + filter.sort);
+    }
+  }
+}
+
+function matchesQuery(product, query) {
+  const search = query.trim().toLowerCase();
+  return (
+    product.title.toLowerCase().includes(search) ||
+    product.description.toLowerCase().includes(search)
+  );
+}
+
+// an empty limit is no limit
+function matchesPrice(product, { minPrice, maxPrice }) {
+  return (
+    (minPrice === "" || product.price >= Number(minPrice)) &&
+    (maxPrice === "" || product.price <= Number(maxPrice))
+  );
+}
+
+/* how many products the category would show, with the search and the price
+applied, but not the other categories */
+function countInCategory(products, filter, category) {
+  return products.filter(
+    (product) =>
+      product.category === category &&
+      matchesQuery(product, filter.query) &&
+      matchesPrice(product, filter)
+  ).length;
+}
@@ -0,0 +1,35 @@
+import { useContext } from "react";
+import { Link, Outlet, useOutletContext } from "react-router-dom";
+import { ShopContext } from "../ShopContext";
+import Header from "./Header";
+
+/* the layout route of the shop, Header stays mounted while the pages below it
+change, so the cart count doesn't flash on every navigation
+outlet context - the shop data goes through <Outlet context>, and the pages
+read it with useOutletContext(), instead of each one reading ShopContext */
+export default function ShopLayout() {
+  const shop = useContext(ShopContext);
+  return (
+    <div className="shop">
+      <Header />
+      <main>
+        <Outlet context={shop} />
+      </main>
+    </div>
+  );
+}
+
+/* the nested layout of /products and /products/:id, a way back to every
+product on top, the outlet context is passed on, a nested Outlet doesn't get
+it by itself */
+export function ProductsLayout() {
+  const shop = useOutletContext();
+  return (
+    <section>
+      <nav aria-label="Breadcrumb">
+        <Link to="/products">Products</Link>
+      </nav>
+      <Outlet context={shop} />
+    </section>
+  );
+}
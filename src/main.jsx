@@ -1,12 +1,16 @@
 import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
+import { BrowserRouter } from "react-router-dom";
 import "./index.css";
 import App from "./App.jsx";
 
 createRoot(document.getElementById("root")).render(
   <StrictMode>
-    {/* <Profiler id="App" onRender={onRender}> */}
-    <App />
-    {/* </Profiler> */}
+    {/* the shop in App has routes, they read the URL through BrowserRouter */}
+    <BrowserRouter>
+      {/* <Profiler id="App" onRender={onRender}> */}
+      <App />
+      {/* </Profiler> */}
+    </BrowserRouter>
   </StrictMode>
 );
@@ -0,0 +1,20 @@
+/* a local WebSocket echo server for the chat's WebSocket transport (see
+src/Transport.jsx), every frame goes back to the client that sent it, so each
+message is delivered, and the contact "answers" with the same text
+  npm run echo-server
+  VITE_CHAT_WS_URL=ws://localhost:8080 npm run dev */
+import process from "node:process";
+import { WebSocketServer } from "ws";
+
+const port = Number(process.env.PORT ?? 8080);
+const server = new WebSocketServer({ port });
+
+server.on("connection", (socket) => {
+  socket.on("message", (data) => {
+    socket.send(data.toString());
+  });
+});
+
+server.on("listening", () => {
+  console.log(`Echo server on ws://localhost:${port}`);
+});